@@ -0,0 +1,89 @@
+// Purges accounts whose deletion grace period is over, along with every
+// record that references them, then emails the user a confirmation.
+const User = require('../models/User');
+const OTP = require('../models/OTP');
+const Session = require('../models/Session');
+const RefreshToken = require('../models/RefreshToken');
+const Appointment = require('../models/Appointment');
+const Review = require('../models/Review');
+const Counselor = require('../models/Counselor');
+const CounselorApplication = require('../models/CounselorApplication');
+const DataExport = require('../models/DataExport');
+const { sendAccountDeletedEmail } = require('../utils/notifications');
+
+// Delete or anonymize everything referencing the user. Each step can be
+// repeated, so a purge interrupted part way is finished on the next run.
+const purgeUserData = async (userId) => {
+  await Promise.all([
+    OTP.deleteMany({ userId }),
+    Session.deleteMany({ userId }),
+    RefreshToken.deleteMany({ userId }),
+    Appointment.deleteMany({ userId }),
+    CounselorApplication.deleteMany({ userId }),
+    CounselorApplication.updateMany({ reviewedBy: userId }, { $unset: { reviewedBy: 1 } }),
+    DataExport.deleteMany({ userId })
+  ]);
+
+  // Their reviews go, so the ratings of the counselors they reviewed are
+  // recalculated
+  const reviewedCounselorIds = await Review.distinct('counselorId', { userId });
+  await Review.deleteMany({ userId });
+  await Promise.all([
+    Review.updateMany({ 'reports.userId': userId }, { $pull: { reports: { userId } } }),
+    Review.updateMany({ 'moderation.moderatedBy': userId }, { $unset: { 'moderation.moderatedBy': 1 } })
+  ]);
+  const reviewedCounselors = await Counselor.find({ _id: { $in: reviewedCounselorIds } });
+  await Promise.all(reviewedCounselors.map(counselor => counselor.updateRating()));
+
+  // A counselor profile is unlinked, anonymized and taken off the listings
+  // rather than deleted, as other users' appointments and reviews point to it
+  await Counselor.updateMany({ userId }, {
+    name: 'Former counselor',
+    isActive: false,
+    qualifications: [],
+    certifications: [],
+    $unset: {
+      userId: 1,
+      bio: 1,
+      profilePicture: 1,
+      contactInfo: 1,
+      certificationReminders: 1
+    }
+  });
+
+  // Audit log entries keep the bare actor id so admin actions stay
+  // attributable; with the user gone it no longer identifies anyone
+};
+
+const purgeDueAccounts = async (now = new Date()) => {
+  const users = await User.find({ deletionScheduledFor: { $lte: now } }).select('email firstName');
+  let purged = 0;
+
+  for (const user of users) {
+    try {
+      // Block logins while the purge runs
+      await User.updateOne({ _id: user._id }, { isActive: false });
+      await purgeUserData(user._id);
+      await User.deleteOne({ _id: user._id });
+      purged += 1;
+    } catch (error) {
+      console.error(`Failed to purge account ${user._id}:`, error);
+      continue;
+    }
+
+    try {
+      await sendAccountDeletedEmail(user.email, user.firstName);
+    } catch (error) {
+      console.error(`Failed to send account deletion confirmation for ${user._id}:`, error);
+    }
+  }
+
+  return { accountsPurged: purged };
+};
+
+module.exports = {
+  name: 'account-deletion',
+  // Hours between runs, from ACCOUNT_DELETION_CHECK_INTERVAL_HOURS
+  intervalMs: () => (parseFloat(process.env.ACCOUNT_DELETION_CHECK_INTERVAL_HOURS) || 1) * 60 * 60 * 1000,
+  run: purgeDueAccounts
+};
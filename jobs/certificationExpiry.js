@@ -0,0 +1,121 @@
+// Reminds counselors and admins about certifications nearing or past their
+// expiry date. Each certification gets at most one email per lead time.
+const Counselor = require('../models/Counselor');
+const User = require('../models/User');
+const { sendEmail } = require('../utils/notifications');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Days before expiry to send reminders, from CERT_EXPIRY_REMINDER_DAYS
+// (e.g. "30,7,1"). 0 is always included for the notice sent on expiry.
+const getLeadTimes = () => {
+  const configured = (process.env.CERT_EXPIRY_REMINDER_DAYS || '30,7,1')
+    .split(',')
+    .map(value => parseInt(value, 10))
+    .filter(days => Number.isInteger(days) && days > 0);
+
+  return [...new Set([...configured, 0])].sort((a, b) => b - a);
+};
+
+// The closest lead time the certification has reached, or null if none yet
+const getDueLeadTime = (expiryDate, leadTimes, now) => {
+  const daysLeft = (expiryDate - now) / DAY;
+  const reached = leadTimes.filter(days => daysLeft <= days);
+  return reached.length ? Math.min(...reached) : null;
+};
+
+const sameCertification = (a, b) => {
+  return a.name === b.name && new Date(a.expiryDate).getTime() === new Date(b.expiryDate).getTime();
+};
+
+const describe = (certification, now) => {
+  const date = certification.expiryDate.toISOString().slice(0, 10);
+  const label = `${certification.name}${certification.isRequired ? ' (required license)' : ''}`;
+  return certification.expiryDate <= now ? `${label} expired on ${date}` : `${label} expires on ${date}`;
+};
+
+const checkCertificationExpiry = async (now = new Date()) => {
+  const leadTimes = getLeadTimes();
+  const horizon = new Date(now.getTime() + leadTimes[0] * DAY);
+
+  const counselors = await Counselor.find({
+    isActive: true,
+    'certifications.expiryDate': { $lte: horizon }
+  })
+    .select('+certificationReminders')
+    .populate('userId', 'email firstName');
+
+  const digest = [];
+
+  for (const counselor of counselors) {
+    const sent = counselor.certificationReminders || [];
+    const due = [];
+
+    counselor.certifications.forEach(certification => {
+      if (!certification.expiryDate) return;
+
+      const leadDays = getDueLeadTime(certification.expiryDate, leadTimes, now);
+      if (leadDays === null) return;
+
+      // Skip if this or a closer reminder was already sent
+      const alreadySent = sent.some(reminder => sameCertification(reminder, certification) && reminder.leadDays <= leadDays);
+      if (!alreadySent) {
+        due.push({ certification, leadDays });
+      }
+    });
+
+    if (!due.length) continue;
+
+    const lines = due.map(({ certification }) => describe(certification, now));
+    const recipient = counselor.userId?.email || counselor.contactInfo?.email;
+
+    if (recipient) {
+      try {
+        await sendEmail(
+          recipient,
+          'Your certifications need attention',
+          `Hello ${counselor.userId?.firstName || counselor.name}, please renew the following and update your profile: ${lines.join('; ')}.`
+        );
+      } catch (error) {
+        console.error(`Failed to send certification reminder to counselor ${counselor._id}:`, error);
+        continue;
+      }
+    }
+
+    digest.push(`${counselor.name}: ${lines.join('; ')}`);
+
+    // Keep reminders for certifications still on the profile plus the new ones
+    const reminders = [
+      ...sent.filter(reminder => counselor.certifications.some(certification => sameCertification(reminder, certification))),
+      ...due.map(({ certification, leadDays }) => ({
+        name: certification.name,
+        expiryDate: certification.expiryDate,
+        leadDays,
+        sentAt: now
+      }))
+    ];
+    await Counselor.updateOne({ _id: counselor._id }, { certificationReminders: reminders });
+  }
+
+  if (digest.length) {
+    const admins = await User.findAdmins().select('email');
+    try {
+      await Promise.all(admins.map(admin => sendEmail(
+        admin.email,
+        'Counselor certifications expiring',
+        `The following counselor certifications are expiring or have expired: ${digest.join(' | ')}`
+      )));
+    } catch (error) {
+      console.error('Failed to send certification digest to admins:', error);
+    }
+  }
+
+  return { counselorsNotified: digest.length };
+};
+
+module.exports = {
+  name: 'certification-expiry',
+  // Hours between runs, from CERT_EXPIRY_CHECK_INTERVAL_HOURS
+  intervalMs: () => (parseFloat(process.env.CERT_EXPIRY_CHECK_INTERVAL_HOURS) || 24) * 60 * 60 * 1000,
+  run: checkCertificationExpiry
+};
@@ -0,0 +1,10 @@
+// Builds data exports the server didn't get to, e.g. because it restarted
+// while one was queued or processing.
+const { processPendingExports } = require('../utils/dataExport');
+
+module.exports = {
+  name: 'data-export',
+  // Minutes between runs, from DATA_EXPORT_CHECK_INTERVAL_MINUTES
+  intervalMs: () => (parseFloat(process.env.DATA_EXPORT_CHECK_INTERVAL_MINUTES) || 5) * 60 * 1000,
+  run: processPendingExports
+};
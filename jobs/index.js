@@ -0,0 +1,33 @@
+// Background jobs run in-process on a fixed interval once the database is
+// connected. Each job module exports { name, intervalMs(), run() }.
+const certificationExpiry = require('./certificationExpiry');
+const accountDeletion = require('./accountDeletion');
+const dataExport = require('./dataExport');
+
+const JOBS = [
+  certificationExpiry,
+  accountDeletion,
+  dataExport
+];
+
+const runJob = async (job) => {
+  try {
+    const result = await job.run();
+    console.log(`Job ${job.name} finished:`, result);
+  } catch (error) {
+    console.error(`Job ${job.name} failed:`, error);
+  }
+};
+
+// Run every job once now and then on its interval; returns the timers
+const startJobs = () => {
+  return JOBS.map(job => {
+    runJob(job);
+    return setInterval(() => runJob(job), job.intervalMs());
+  });
+};
+
+module.exports = {
+  JOBS,
+  startJobs
+};
@@ -1,5 +1,6 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Session = require('../models/Session');
 
 const auth = async (req, res, next) => {
   try {
@@ -13,7 +14,10 @@ const auth = async (req, res, next) => {
     }
 
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    const user = await User.findById(decoded.userId);
+    const [user, session] = await Promise.all([
+      User.findById(decoded.userId),
+      decoded.sid ? Session.findById(decoded.sid) : null
+    ]);
     
     if (!user) {
       return res.status(401).json({
@@ -29,7 +33,26 @@ const auth = async (req, res, next) => {
       });
     }
 
+    // Tokens issued before a password change or deactivation are rejected
+    if ((decoded.tv || 0) !== user.tokenVersion) {
+      return res.status(401).json({
+        status: 'error',
+        message: 'Token is no longer valid. Please log in again.'
+      });
+    }
+
+    // Tokens are only valid while the session they were issued for is
+    if (!session || !session.isActive || !session.userId.equals(user._id)) {
+      return res.status(401).json({
+        status: 'error',
+        message: 'Session has been revoked. Please log in again.'
+      });
+    }
+
+    await session.touch(req.ip);
+
     req.user = user;
+    req.authSession = session;
     next();
   } catch (error) {
     if (error.name === 'JsonWebTokenError') {
@@ -0,0 +1,54 @@
+// Role-based access control. Compose after the auth middleware:
+//   router.get('/path', auth, authorize('admin'), handler)
+//   router.get('/path', auth, requirePermission('reviews:moderate'), handler)
+
+const ROLES = ['user', 'counselor', 'admin'];
+
+// Permissions granted to each role
+const ROLE_PERMISSIONS = {
+  user: [],
+  counselor: [
+    'counselor:profile'
+  ],
+  admin: [
+    'reviews:moderate',
+    'counselors:manage',
+    'applications:review'
+  ]
+};
+
+// Check whether a role grants a permission
+const hasPermission = (role, permission) => {
+  return (ROLE_PERMISSIONS[role] || []).includes(permission);
+};
+
+const deny = (res) => {
+  return res.status(403).json({
+    status: 'error',
+    message: 'Access denied. You do not have permission to perform this action.'
+  });
+};
+
+// Require the user to have one of the given roles
+const authorize = (...roles) => (req, res, next) => {
+  if (!req.user || !roles.includes(req.user.role)) {
+    return deny(res);
+  }
+  next();
+};
+
+// Require the user's role to grant every one of the given permissions
+const requirePermission = (...permissions) => (req, res, next) => {
+  if (!req.user || !permissions.every(permission => hasPermission(req.user.role, permission))) {
+    return deny(res);
+  }
+  next();
+};
+
+module.exports = {
+  ROLES,
+  ROLE_PERMISSIONS,
+  hasPermission,
+  authorize,
+  requirePermission
+};
@@ -0,0 +1,36 @@
+// Per-identifier rate limits for endpoints that send codes, on top of the
+// per-IP limiter in server.js. Requests are counted per email address, phone
+// number or user, so one target can't be flooded from many IPs.
+const rateLimit = require('express-rate-limit');
+const { normalizePhone } = require('../utils/phone');
+const { normalizeEmail } = require('../utils/email');
+
+const WINDOW_MS = parseInt(process.env.OTP_RATE_LIMIT_WINDOW_MS) || 60 * 60 * 1000;
+const MAX_REQUESTS = parseInt(process.env.OTP_RATE_LIMIT_MAX_REQUESTS) || 5;
+
+// Email keys use the same normalization as the routes, so variants of one
+// address (case, Gmail dots and +tags) share a bucket
+const emailKey = (req) => normalizeEmail(req.body.email);
+
+// Build a limiter keyed by `getIdentifier(req)`, which may be async, falling
+// back to the IP when the request has no identifier (validation rejects it
+// afterwards)
+const limitByIdentifier = (name, getIdentifier) => rateLimit({
+  windowMs: WINDOW_MS,
+  max: MAX_REQUESTS,
+  standardHeaders: true,
+  legacyHeaders: false,
+  keyGenerator: async (req) => `${name}:${await getIdentifier(req) || req.ip}`,
+  message: {
+    status: 'error',
+    message: 'Too many code requests. Please try again later.'
+  }
+});
+
+module.exports = {
+  forgotPasswordLimiter: limitByIdentifier('forgot-password', emailKey),
+  loginOtpLimiter: limitByIdentifier('login-otp', async req => await emailKey(req) || normalizePhone(req.body.phone)),
+  resendEmailOtpLimiter: limitByIdentifier('resend-email-otp', req => req.user && String(req.user._id)),
+  changeEmailLimiter: limitByIdentifier('change-email', req => req.user && String(req.user._id)),
+  sendPhoneOtpLimiter: limitByIdentifier('send-phone-otp', req => normalizePhone(req.body.phone))
+};
@@ -0,0 +1,37 @@
+// Require verified contact details before an action. Compose after the auth
+// middleware:
+//   router.post('/path', auth, requireVerified('email'), handler)
+//   router.post('/path', auth, requireVerified('email', 'phone'), handler)
+// Unverified users get a 403 whose `code` names the first missing
+// verification and whose `missing` lists all of them, so the app knows
+// which verification to prompt for.
+
+const VERIFICATIONS = {
+  email: { field: 'isEmailVerified', code: 'EMAIL_NOT_VERIFIED', label: 'email address' },
+  phone: { field: 'isPhoneVerified', code: 'PHONE_NOT_VERIFIED', label: 'phone number' }
+};
+
+const requireVerified = (...types) => {
+  for (const type of types) {
+    if (!VERIFICATIONS[type]) {
+      throw new Error(`Unknown verification type: ${type}`);
+    }
+  }
+
+  return (req, res, next) => {
+    const missing = types.filter(type => !req.user || !req.user[VERIFICATIONS[type].field]);
+    if (missing.length === 0) {
+      return next();
+    }
+
+    const labels = missing.map(type => VERIFICATIONS[type].label).join(' and ');
+    res.status(403).json({
+      status: 'error',
+      code: VERIFICATIONS[missing[0]].code,
+      message: `Please verify your ${labels} to continue.`,
+      missing
+    });
+  };
+};
+
+module.exports = requireVerified;
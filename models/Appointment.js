@@ -0,0 +1,201 @@
+const mongoose = require('mongoose');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Appointment:
+ *       type: object
+ *       required:
+ *         - userId
+ *         - counselorId
+ *         - startTime
+ *         - endTime
+ *       properties:
+ *         _id:
+ *           type: string
+ *           description: Auto-generated unique identifier
+ *         userId:
+ *           type: string
+ *           description: User who booked the session
+ *         counselorId:
+ *           type: string
+ *           description: Counselor the session is booked with
+ *         startTime:
+ *           type: string
+ *           format: date-time
+ *           description: Session start time
+ *         endTime:
+ *           type: string
+ *           format: date-time
+ *           description: Session end time
+ *         status:
+ *           type: string
+ *           enum: [pending, confirmed, cancelled, completed]
+ *           description: Current booking status
+ *         notes:
+ *           type: string
+ *           description: Notes from the user for the counselor
+ *         price:
+ *           type: object
+ *           properties:
+ *             amount:
+ *               type: number
+ *             currency:
+ *               type: string
+ *         cancellation:
+ *           type: object
+ *           properties:
+ *             reason:
+ *               type: string
+ *             cancelledAt:
+ *               type: string
+ *               format: date-time
+ *         confirmedAt:
+ *           type: string
+ *           format: date-time
+ *         completedAt:
+ *           type: string
+ *           format: date-time
+ */
+
+const ACTIVE_STATUSES = ['pending', 'confirmed'];
+
+const appointmentSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  counselorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Counselor',
+    required: true
+  },
+  startTime: {
+    type: Date,
+    required: [true, 'Start time is required']
+  },
+  endTime: {
+    type: Date,
+    required: [true, 'End time is required'],
+    validate: {
+      validator: function(date) {
+        return date > this.startTime;
+      },
+      message: 'End time must be after start time'
+    }
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'confirmed', 'cancelled', 'completed'],
+    default: 'pending'
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Notes cannot exceed 500 characters']
+  },
+  price: {
+    amount: {
+      type: Number,
+      min: [0, 'Price cannot be negative']
+    },
+    currency: {
+      type: String,
+      default: 'USD',
+      uppercase: true
+    }
+  },
+  cancellation: {
+    reason: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Cancellation reason cannot exceed 500 characters']
+    },
+    cancelledBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    cancelledAt: Date
+  },
+  confirmedAt: {
+    type: Date,
+    default: null
+  },
+  completedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Virtual for session length in minutes
+appointmentSchema.virtual('duration').get(function() {
+  return Math.round((this.endTime - this.startTime) / 60000);
+});
+
+// Indexes for overlap checks and listings
+appointmentSchema.index({ counselorId: 1, startTime: 1, endTime: 1 });
+appointmentSchema.index({ userId: 1, startTime: -1 });
+appointmentSchema.index({ status: 1 });
+
+// Static method to find bookings that overlap the given interval
+appointmentSchema.statics.findOverlapping = function(filter, startTime, endTime, excludeId = null) {
+  const query = {
+    status: { $in: ACTIVE_STATUSES },
+    ...filter,
+    startTime: { $lt: endTime },
+    endTime: { $gt: startTime }
+  };
+
+  if (excludeId) {
+    query._id = { $ne: excludeId };
+  }
+
+  return this.find(query);
+};
+
+// Method to cancel the appointment
+appointmentSchema.methods.cancel = function(cancelledBy, reason) {
+  if (!ACTIVE_STATUSES.includes(this.status)) {
+    throw new Error(`Cannot cancel an appointment that is ${this.status}`);
+  }
+
+  this.status = 'cancelled';
+  this.cancellation = {
+    reason,
+    cancelledBy,
+    cancelledAt: new Date()
+  };
+  return this.save();
+};
+
+// Method to mark the appointment as completed and count the session.
+// The status transition is atomic so a session is only ever counted once.
+appointmentSchema.methods.complete = async function() {
+  const completedAt = new Date();
+  const updated = await this.constructor.findOneAndUpdate(
+    { _id: this._id, status: 'confirmed' },
+    { status: 'completed', completedAt }
+  );
+
+  if (!updated) {
+    throw new Error('Only confirmed appointments can be completed');
+  }
+
+  await mongoose.model('Counselor').findByIdAndUpdate(this.counselorId, {
+    $inc: { totalSessions: 1 }
+  });
+
+  this.status = 'completed';
+  this.completedAt = completedAt;
+  return this;
+};
+
+appointmentSchema.statics.ACTIVE_STATUSES = ACTIVE_STATUSES;
+
+module.exports = mongoose.model('Appointment', appointmentSchema);
@@ -0,0 +1,96 @@
+const mongoose = require('mongoose');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     AuditLog:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *           description: Auto-generated unique identifier
+ *         actor:
+ *           type: string
+ *           description: User who made the change
+ *         action:
+ *           type: string
+ *           enum: [create, update, deactivate]
+ *         entityType:
+ *           type: string
+ *           description: Model name of the changed document
+ *         entityId:
+ *           type: string
+ *           description: ID of the changed document
+ *         changes:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               field:
+ *                 type: string
+ *               from: {}
+ *               to: {}
+ *         ip:
+ *           type: string
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+
+const auditLogSchema = new mongoose.Schema({
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  action: {
+    type: String,
+    enum: ['create', 'update', 'deactivate'],
+    required: true
+  },
+  entityType: {
+    type: String,
+    required: true
+  },
+  entityId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  changes: [{
+    _id: false,
+    field: String,
+    from: mongoose.Schema.Types.Mixed,
+    to: mongoose.Schema.Types.Mixed
+  }],
+  ip: String
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+auditLogSchema.index({ entityType: 1, entityId: 1, createdAt: -1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+
+// Static method to compute field-level changes between two plain objects.
+// Subdocument ids are ignored so re-sent arrays don't show up as changes.
+auditLogSchema.statics.diff = function(before, after, fields) {
+  const serialize = (value) => JSON.stringify(value, (key, nested) => key === '_id' ? undefined : nested);
+
+  return fields
+    .filter(field => serialize(before[field]) !== serialize(after[field]))
+    .map(field => ({ field, from: before[field], to: after[field] }));
+};
+
+// Static method to record a change made by a user during a request
+auditLogSchema.statics.record = function(req, action, document, changes) {
+  return this.create({
+    actor: req.user._id,
+    action,
+    entityType: document.constructor.modelName,
+    entityId: document._id,
+    changes,
+    ip: req.ip
+  });
+};
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
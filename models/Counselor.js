@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const { generateSlots, getAvailabilityWindows, isWithinAvailability, overlaps } = require('../utils/availability');
+const { isValidTimeZone } = require('../utils/timezone');
 
 /**
  * @swagger
@@ -14,6 +16,9 @@ const mongoose = require('mongoose');
  *         _id:
  *           type: string
  *           description: Auto-generated unique identifier
+ *         userId:
+ *           type: string
+ *           description: User account the counselor signs in with
  *         name:
  *           type: string
  *           description: Counselor's full name
@@ -37,6 +42,9 @@ const mongoose = require('mongoose');
  *           minimum: 0
  *           maximum: 5
  *           description: Average rating
+ *         totalReviews:
+ *           type: number
+ *           description: Number of reviews the rating is based on
  *         totalSessions:
  *           type: number
  *           description: Total sessions completed
@@ -45,6 +53,10 @@ const mongoose = require('mongoose');
  *           items:
  *             type: string
  *           description: Languages spoken
+ *         timeZone:
+ *           type: string
+ *           default: UTC
+ *           description: IANA time zone the availability time slots are expressed in
  *         availability:
  *           type: object
  *           properties:
@@ -62,6 +74,19 @@ const mongoose = require('mongoose');
  *                     type: string
  *                   end:
  *                     type: string
+ *             blockedTimes:
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   start:
+ *                     type: string
+ *                     format: date-time
+ *                   end:
+ *                     type: string
+ *                     format: date-time
+ *                   reason:
+ *                     type: string
  *         pricing:
  *           type: object
  *           properties:
@@ -76,9 +101,64 @@ const mongoose = require('mongoose');
  *         profilePicture:
  *           type: string
  *           description: URL to profile picture
+ *         certifications:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               issuer:
+ *                 type: string
+ *               dateObtained:
+ *                 type: string
+ *                 format: date
+ *               expiryDate:
+ *                 type: string
+ *                 format: date
+ *               isRequired:
+ *                 type: boolean
+ *                 description: License the counselor must hold to practise
+ *               isExpired:
+ *                 type: boolean
+ *                 readOnly: true
+ *         hasLapsedLicense:
+ *           type: boolean
+ *           readOnly: true
+ *           description: Whether a required license has expired
  */
 
+const SPECIALIZATIONS = ['career', 'mental_health', 'relationship', 'academic', 'substance_abuse', 'family'];
+const DAYS = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+const certificationSchema = new mongoose.Schema({
+  name: String,
+  issuer: String,
+  dateObtained: Date,
+  expiryDate: Date,
+  isRequired: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  id: false,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Virtual flagging certifications past their expiry date
+certificationSchema.virtual('isExpired').get(function() {
+  return Boolean(this.expiryDate) && this.expiryDate <= new Date();
+});
+
 const counselorSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    unique: true,
+    sparse: true
+  },
   name: {
     type: String,
     required: [true, 'Counselor name is required'],
@@ -89,7 +169,7 @@ const counselorSchema = new mongoose.Schema({
     type: String,
     required: [true, 'Specialization is required'],
     enum: {
-      values: ['career', 'mental_health', 'relationship', 'academic', 'substance_abuse', 'family'],
+      values: SPECIALIZATIONS,
       message: 'Invalid specialization'
     },
     lowercase: true
@@ -128,20 +208,43 @@ const counselorSchema = new mongoose.Schema({
     trim: true,
     lowercase: true
   }],
+  timeZone: {
+    type: String,
+    default: 'UTC',
+    validate: {
+      validator: isValidTimeZone,
+      message: 'Invalid time zone'
+    }
+  },
   availability: {
     days: [{
       type: String,
-      enum: ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'],
+      enum: DAYS,
       lowercase: true
     }],
     timeSlots: [{
       start: {
         type: String,
-        match: [/^([01]\d|2[0-3]):([0-5]\d)$/, 'Invalid time format. Use HH:MM format']
+        match: [TIME_PATTERN, 'Invalid time format. Use HH:MM format']
+      },
+      end: {
+        type: String,
+        match: [TIME_PATTERN, 'Invalid time format. Use HH:MM format']
+      }
+    }],
+    blockedTimes: [{
+      start: {
+        type: Date,
+        required: true
       },
       end: {
+        type: Date,
+        required: true
+      },
+      reason: {
         type: String,
-        match: [/^([01]\d|2[0-3]):([0-5]\d)$/, 'Invalid time format. Use HH:MM format']
+        trim: true,
+        maxlength: [200, 'Reason cannot exceed 200 characters']
       }
     }]
   },
@@ -171,12 +274,20 @@ const counselorSchema = new mongoose.Schema({
     },
     phone: String
   },
-  certifications: [{
-    name: String,
-    issuer: String,
-    dateObtained: Date,
-    expiryDate: Date
-  }]
+  certifications: [certificationSchema],
+  // Expiry reminders already sent, keyed by certification name and expiry
+  // date so renewing a certification starts its reminders over
+  certificationReminders: {
+    type: [{
+      _id: false,
+      name: String,
+      expiryDate: Date,
+      leadDays: Number,
+      sentAt: Date
+    }],
+    default: undefined,
+    select: false
+  }
 }, {
   timestamps: true,
   toJSON: { virtuals: true },
@@ -193,18 +304,56 @@ counselorSchema.virtual('specializationFormatted').get(function() {
   return this.specialization.replace('_', ' ').replace(/\b\w/g, l => l.toUpperCase());
 });
 
+// Virtual for whether a required license has expired
+counselorSchema.virtual('hasLapsedLicense').get(function() {
+  return (this.certifications || []).some(certification => certification.isRequired && certification.isExpired);
+});
+
 // Indexes for better query performance
 counselorSchema.index({ specialization: 1 });
 counselorSchema.index({ rating: -1 });
 counselorSchema.index({ isActive: 1 });
 counselorSchema.index({ 'availability.days': 1 });
+counselorSchema.index({ 'certifications.expiryDate': 1 });
+
+// Method to recalculate the rating from scratch so edits and deletions
+// are reflected, rather than only appending new ratings
+counselorSchema.methods.updateRating = async function() {
+  const { rating, totalReviews } = await mongoose.model('Review').getRatingStats(this._id);
+
+  await this.constructor.updateOne({ _id: this._id }, { rating, totalReviews });
+  this.rating = rating;
+  this.totalReviews = totalReviews;
+  return this;
+};
+
+// Method to check whether an interval is bookable against the weekly availability
+counselorSchema.methods.isAvailableAt = function(startTime, endTime) {
+  const blocked = (this.availability.blockedTimes || [])
+    .some(block => overlaps(startTime, endTime, block.start, block.end));
+
+  return !blocked && isWithinAvailability(this.availability, startTime, endTime, this.timeZone);
+};
+
+// Method to list the concrete availability windows between two dates
+counselorSchema.methods.getAvailabilityWindows = function(from, to) {
+  return getAvailabilityWindows(this.availability, from, to, this.timeZone);
+};
+
+// Method to list concrete bookable slots between two dates
+counselorSchema.methods.getAvailableSlots = async function(from, to, duration) {
+  const bookings = await mongoose.model('Appointment')
+    .findOverlapping({ counselorId: this._id }, from, to)
+    .select('startTime endTime')
+    .lean();
 
-// Method to update rating
-counselorSchema.methods.updateRating = function(newRating) {
-  const totalRating = (this.rating * this.totalReviews) + newRating;
-  this.totalReviews += 1;
-  this.rating = totalRating / this.totalReviews;
-  return this.save();
+  return generateSlots(this.availability, {
+    from,
+    to,
+    duration,
+    timeZone: this.timeZone,
+    busy: [...bookings, ...(this.availability.blockedTimes || [])]
+  });
 };
 
 // Static method to find by specialization
@@ -215,15 +364,18 @@ counselorSchema.statics.findBySpecialization = function(specialization) {
   }).sort({ rating: -1 });
 };
 
-// Static method to find available counselors
-counselorSchema.statics.findAvailable = function(day, timeSlot) {
-  const query = { isActive: true };
-  
-  if (day) {
-    query['availability.days'] = day.toLowerCase();
-  }
-  
-  return this.find(query).sort({ rating: -1 });
+// Static method building a query condition that excludes counselors whose
+// required license has expired
+counselorSchema.statics.validLicenseFilter = function(now = new Date()) {
+  return {
+    certifications: {
+      $not: { $elemMatch: { isRequired: true, expiryDate: { $lte: now } } }
+    }
+  };
 };
 
+counselorSchema.statics.SPECIALIZATIONS = SPECIALIZATIONS;
+counselorSchema.statics.DAYS = DAYS;
+counselorSchema.statics.TIME_PATTERN = TIME_PATTERN;
+
 module.exports = mongoose.model('Counselor', counselorSchema);
\ No newline at end of file
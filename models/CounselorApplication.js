@@ -0,0 +1,168 @@
+const mongoose = require('mongoose');
+const Counselor = require('./Counselor');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     CounselorApplication:
+ *       type: object
+ *       required:
+ *         - userId
+ *         - name
+ *         - specialization
+ *         - experience
+ *       properties:
+ *         _id:
+ *           type: string
+ *           description: Auto-generated unique identifier
+ *         userId:
+ *           type: string
+ *           description: Applicant's user account
+ *         name:
+ *           type: string
+ *           description: Professional name to show on the counselor profile
+ *         specialization:
+ *           type: string
+ *           enum: [career, mental_health, relationship, academic, substance_abuse, family]
+ *         experience:
+ *           type: number
+ *           description: Years of experience
+ *         qualifications:
+ *           type: array
+ *           items:
+ *             type: string
+ *         bio:
+ *           type: string
+ *         languages:
+ *           type: array
+ *           items:
+ *             type: string
+ *         certifications:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               issuer:
+ *                 type: string
+ *               dateObtained:
+ *                 type: string
+ *                 format: date
+ *               expiryDate:
+ *                 type: string
+ *                 format: date
+ *         status:
+ *           type: string
+ *           enum: [pending, approved, rejected]
+ *         rejectionReason:
+ *           type: string
+ *         reviewedAt:
+ *           type: string
+ *           format: date-time
+ *         counselorId:
+ *           type: string
+ *           description: Counselor created on approval
+ */
+
+const counselorApplicationSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    trim: true,
+    maxlength: [100, 'Name cannot exceed 100 characters']
+  },
+  specialization: {
+    type: String,
+    required: [true, 'Specialization is required'],
+    enum: {
+      values: Counselor.SPECIALIZATIONS,
+      message: 'Invalid specialization'
+    },
+    lowercase: true
+  },
+  experience: {
+    type: Number,
+    required: [true, 'Experience is required'],
+    min: [0, 'Experience cannot be negative'],
+    max: [50, 'Experience cannot exceed 50 years']
+  },
+  qualifications: [{
+    type: String,
+    trim: true
+  }],
+  bio: {
+    type: String,
+    maxlength: [1000, 'Bio cannot exceed 1000 characters'],
+    trim: true
+  },
+  languages: [{
+    type: String,
+    trim: true,
+    lowercase: true
+  }],
+  certifications: [{
+    name: String,
+    issuer: String,
+    dateObtained: Date,
+    expiryDate: Date
+  }],
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected'],
+    default: 'pending'
+  },
+  rejectionReason: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Reason cannot exceed 1000 characters']
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedAt: Date,
+  counselorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Counselor'
+  }
+}, {
+  timestamps: true
+});
+
+counselorApplicationSchema.index({ userId: 1, createdAt: -1 });
+counselorApplicationSchema.index({ status: 1, createdAt: 1 });
+
+// Only one application per user can be waiting for review
+counselorApplicationSchema.index(
+  { userId: 1 },
+  { unique: true, partialFilterExpression: { status: 'pending' } }
+);
+
+// Method to build the counselor profile created when the application is approved
+counselorApplicationSchema.methods.toCounselor = function() {
+  return new Counselor({
+    userId: this.userId,
+    name: this.name,
+    specialization: this.specialization,
+    experience: this.experience,
+    qualifications: this.qualifications,
+    bio: this.bio,
+    languages: this.languages,
+    certifications: this.certifications.map(({ name, issuer, dateObtained, expiryDate }) => ({
+      name,
+      issuer,
+      dateObtained,
+      expiryDate
+    })),
+    isActive: true
+  });
+};
+
+module.exports = mongoose.model('CounselorApplication', counselorApplicationSchema);
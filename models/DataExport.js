@@ -0,0 +1,124 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     DataExport:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *           description: Auto-generated unique identifier
+ *         format:
+ *           type: string
+ *           enum: [json, zip]
+ *           description: A single JSON file, or a ZIP archive with one JSON file per section
+ *         status:
+ *           type: string
+ *           enum: [pending, processing, completed, failed]
+ *         fileName:
+ *           type: string
+ *         size:
+ *           type: number
+ *           description: Archive size in bytes
+ *         error:
+ *           type: string
+ *           description: Why the export failed
+ *         completedAt:
+ *           type: string
+ *           format: date-time
+ *         expiresAt:
+ *           type: string
+ *           format: date-time
+ *           description: When the archive and its download link are deleted
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+
+// Hours a finished export can be downloaded, from DATA_EXPORT_EXPIRES_HOURS
+const DOWNLOAD_EXPIRES_MS = () => (parseFloat(process.env.DATA_EXPORT_EXPIRES_HOURS) || 48) * 60 * 60 * 1000;
+
+// Download tokens are random, so a plain SHA-256 is enough to store them
+const hashDownloadToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+const dataExportSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  format: {
+    type: String,
+    enum: ['json', 'zip'],
+    default: 'json'
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'processing', 'completed', 'failed'],
+    default: 'pending'
+  },
+  startedAt: Date,
+  completedAt: Date,
+  error: String,
+  fileName: String,
+  contentType: String,
+  size: Number,
+  data: {
+    type: Buffer,
+    select: false
+  },
+  downloadTokenHash: {
+    type: String,
+    select: false
+  },
+  // Pushed back to the end of the download window once the export is ready
+  expiresAt: {
+    type: Date,
+    required: true,
+    default: () => new Date(Date.now() + 7 * 24 * 60 * 60 * 1000)
+  }
+}, {
+  timestamps: true
+});
+
+// Automatically delete expired exports along with their archive
+dataExportSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+dataExportSchema.index({ userId: 1, createdAt: -1 });
+dataExportSchema.index({ status: 1, startedAt: 1 });
+
+// Method to store the finished archive and issue its download token.
+// Returns the token, which is only kept hashed.
+dataExportSchema.methods.complete = async function({ fileName, contentType, data }) {
+  const token = crypto.randomBytes(32).toString('hex');
+  const completedAt = new Date();
+  const update = {
+    status: 'completed',
+    completedAt,
+    fileName,
+    contentType,
+    size: data.length,
+    data,
+    downloadTokenHash: hashDownloadToken(token),
+    expiresAt: new Date(completedAt.getTime() + DOWNLOAD_EXPIRES_MS())
+  };
+
+  await this.constructor.updateOne({ _id: this._id }, update);
+  Object.assign(this, update);
+  return token;
+};
+
+// Static method to find a completed, unexpired export by its download
+// token, including the archive
+dataExportSchema.statics.findDownload = function(id, token) {
+  return this.findOne({
+    _id: id,
+    status: 'completed',
+    downloadTokenHash: hashDownloadToken(token),
+    expiresAt: { $gt: new Date() }
+  }).select('+data');
+};
+
+module.exports = mongoose.model('DataExport', dataExportSchema);
@@ -1,12 +1,53 @@
 const mongoose = require('mongoose');
 const crypto = require('crypto');
 
+// Code format, e.g. OTP_LENGTH=8 and OTP_ALPHABET=ABCDEFGHJKLMNPQRSTUVWXYZ23456789
+const CODE_LENGTH = parseInt(process.env.OTP_LENGTH) || 6;
+const CODE_ALPHABET = process.env.OTP_ALPHABET || '0123456789';
+const MAX_ATTEMPTS = 3;
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     OTPError:
+ *       type: object
+ *       properties:
+ *         status:
+ *           type: string
+ *           example: error
+ *         code:
+ *           type: string
+ *           enum: [OTP_NOT_FOUND, OTP_INVALID, OTP_EXPIRED, OTP_USED, OTP_ATTEMPTS_EXCEEDED]
+ *           description: |
+ *             Why the code was rejected. Only OTP_INVALID can be retried with
+ *             the same code request; the others need a new code.
+ *         message:
+ *           type: string
+ */
+
+// Thrown by verify(); `code` tells callers why the OTP was rejected
+class OTPError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'OTPError';
+    this.code = code;
+  }
+}
+
+// Codes are stored as an HMAC so a database leak doesn't reveal live codes
+const hashCode = (code) => {
+  const key = process.env.OTP_HASH_SECRET || process.env.JWT_SECRET;
+  return crypto.createHmac('sha256', key).update(String(code)).digest('hex');
+};
+
 const otpSchema = new mongoose.Schema({
   userId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
     required: true
   },
+  // Where the code was sent; for email_change, the address being confirmed
   email: {
     type: String,
     required: function() {
@@ -20,7 +61,7 @@ const otpSchema = new mongoose.Schema({
       return this.type === 'phone';
     }
   },
-  otp: {
+  codeHash: {
     type: String,
     required: true
   },
@@ -31,7 +72,7 @@ const otpSchema = new mongoose.Schema({
   },
   purpose: {
     type: String,
-    enum: ['verification', 'password_reset', 'login'],
+    enum: ['verification', 'password_reset', 'login', 'email_change'],
     required: true
   },
   isUsed: {
@@ -40,8 +81,7 @@ const otpSchema = new mongoose.Schema({
   },
   attempts: {
     type: Number,
-    default: 0,
-    max: [3, 'Maximum 3 attempts allowed']
+    default: 0
   },
   expiresAt: {
     type: Date,
@@ -58,37 +98,66 @@ const otpSchema = new mongoose.Schema({
 otpSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
 otpSchema.index({ userId: 1, type: 1, purpose: 1 });
 
-// Generate random OTP
+// Generate random OTP from a cryptographically secure source
 otpSchema.statics.generateOTP = function() {
-  return Math.floor(100000 + Math.random() * 900000).toString();
+  let code = '';
+  for (let i = 0; i < CODE_LENGTH; i++) {
+    code += CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)];
+  }
+  return code;
 };
 
-// Method to verify OTP
-otpSchema.methods.verify = function(inputOTP) {
-  if (this.isUsed) {
-    throw new Error('OTP has already been used');
-  }
-  
-  if (this.expiresAt < new Date()) {
-    throw new Error('OTP has expired');
+// Method to check a code against the stored hash in constant time
+otpSchema.methods.matches = function(inputOTP) {
+  return crypto.timingSafeEqual(
+    Buffer.from(hashCode(inputOTP), 'hex'),
+    Buffer.from(this.codeHash, 'hex')
+  );
+};
+
+// Method to verify OTP. Each guess is counted with a conditional update, so
+// concurrent guesses can't go past MAX_ATTEMPTS.
+otpSchema.methods.verify = async function(inputOTP) {
+  const now = new Date();
+  const counted = await this.constructor.findOneAndUpdate(
+    { _id: this._id, isUsed: false, expiresAt: { $gt: now }, attempts: { $lt: MAX_ATTEMPTS } },
+    { $inc: { attempts: 1 } },
+    { new: true }
+  );
+
+  if (!counted) {
+    const current = await this.constructor.findById(this._id);
+    if (!current || current.expiresAt <= now) {
+      throw new OTPError('OTP_EXPIRED', 'OTP has expired');
+    }
+    if (current.isUsed) {
+      throw new OTPError('OTP_USED', 'OTP has already been used');
+    }
+    throw new OTPError('OTP_ATTEMPTS_EXCEEDED', 'Maximum attempts exceeded. Please request a new code.');
   }
-  
-  if (this.attempts >= 3) {
-    throw new Error('Maximum attempts exceeded');
+
+  this.attempts = counted.attempts;
+
+  if (!this.matches(inputOTP)) {
+    throw new OTPError('OTP_INVALID', 'Invalid OTP');
   }
-  
-  this.attempts += 1;
-  
-  if (this.otp !== inputOTP) {
-    this.save();
-    throw new Error('Invalid OTP');
+
+  // Only one of several concurrent correct guesses gets to use the code
+  const used = await this.constructor.findOneAndUpdate(
+    { _id: this._id, isUsed: false },
+    { isUsed: true },
+    { new: true }
+  );
+  if (!used) {
+    throw new OTPError('OTP_USED', 'OTP has already been used');
   }
-  
+
   this.isUsed = true;
-  return this.save();
+  return this;
 };
 
-// Static method to create OTP
+// Static method to create OTP. Only the hash is stored, so the plain code
+// is returned alongside the record for sending.
 otpSchema.statics.createOTP = async function(userId, type, purpose, contact) {
   // Remove existing unused OTPs for the same purpose
   await this.deleteMany({
@@ -98,10 +167,10 @@ otpSchema.statics.createOTP = async function(userId, type, purpose, contact) {
     isUsed: false
   });
   
-  const otp = this.generateOTP();
+  const code = this.generateOTP();
   const otpData = {
     userId,
-    otp,
+    codeHash: hashCode(code),
     type,
     purpose
   };
@@ -112,7 +181,8 @@ otpSchema.statics.createOTP = async function(userId, type, purpose, contact) {
     otpData.phone = contact;
   }
   
-  return await this.create(otpData);
+  const record = await this.create(otpData);
+  return { record, code };
 };
 
 // Static method to find valid OTP
@@ -123,8 +193,18 @@ otpSchema.statics.findValidOTP = function(userId, type, purpose) {
     purpose,
     isUsed: false,
     expiresAt: { $gt: new Date() },
-    attempts: { $lt: 3 }
+    attempts: { $lt: MAX_ATTEMPTS }
   });
 };
 
+// Static method to find the most recent OTP whatever its state, so verify()
+// can report why it can no longer be used
+otpSchema.statics.findLatestOTP = function(userId, type, purpose) {
+  return this.findOne({ userId, type, purpose }).sort({ createdAt: -1 });
+};
+
+otpSchema.statics.CODE_LENGTH = CODE_LENGTH;
+otpSchema.statics.MAX_ATTEMPTS = MAX_ATTEMPTS;
+otpSchema.statics.OTPError = OTPError;
+
 module.exports = mongoose.model('OTP', otpSchema);
\ No newline at end of file
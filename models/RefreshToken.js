@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+
+// One record per refresh token issued. Each login starts a Session and every
+// refresh uses up the presented token and issues the next one for the same
+// session, so a used token coming back means it was stolen.
+const refreshTokenSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  sessionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Session',
+    required: true
+  },
+  jti: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  usedAt: {
+    type: Date,
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Automatically delete expired tokens
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Static method to use up a token exactly once. Returns null if the token
+// was already used, including by a concurrent request.
+refreshTokenSchema.statics.consume = function(jti) {
+  return this.findOneAndUpdate(
+    { jti, usedAt: null, expiresAt: { $gt: new Date() } },
+    { usedAt: new Date() },
+    { new: true }
+  );
+};
+
+module.exports = mongoose.model('RefreshToken', refreshTokenSchema);
@@ -0,0 +1,183 @@
+const mongoose = require('mongoose');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Review:
+ *       type: object
+ *       required:
+ *         - counselorId
+ *         - userId
+ *         - rating
+ *       properties:
+ *         _id:
+ *           type: string
+ *           description: Auto-generated unique identifier
+ *         counselorId:
+ *           type: string
+ *           description: Counselor being reviewed
+ *         userId:
+ *           type: string
+ *           description: Author of the review
+ *         appointmentId:
+ *           type: string
+ *           description: Completed session that verifies the review
+ *         rating:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 5
+ *           description: Star rating
+ *         comment:
+ *           type: string
+ *           description: Review text
+ *         status:
+ *           type: string
+ *           enum: [pending, visible, hidden]
+ *           description: Moderation status; pending reviews are awaiting moderation after a report
+ *         reportCount:
+ *           type: integer
+ *           description: Number of times the review has been reported
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ */
+
+// Thrown by report() when the user has already reported the review
+class ReviewReportError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ReviewReportError';
+  }
+}
+
+const reviewSchema = new mongoose.Schema({
+  counselorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Counselor',
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  appointmentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Appointment',
+    required: true
+  },
+  rating: {
+    type: Number,
+    required: [true, 'Rating is required'],
+    min: [1, 'Rating must be at least 1'],
+    max: [5, 'Rating cannot exceed 5'],
+    validate: {
+      validator: Number.isInteger,
+      message: 'Rating must be a whole number'
+    }
+  },
+  comment: {
+    type: String,
+    trim: true,
+    maxlength: [2000, 'Comment cannot exceed 2000 characters']
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'visible', 'hidden'],
+    default: 'visible'
+  },
+  reports: {
+    type: [{
+      userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+      },
+      reason: {
+        type: String,
+        trim: true,
+        maxlength: [500, 'Reason cannot exceed 500 characters']
+      },
+      createdAt: {
+        type: Date,
+        default: Date.now
+      }
+    }],
+    select: false // Don't reveal reporters outside moderation
+  },
+  moderation: {
+    moderatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    moderatedAt: Date,
+    note: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Note cannot exceed 500 characters']
+    }
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Virtual for number of reports
+reviewSchema.virtual('reportCount').get(function() {
+  return this.reports ? this.reports.length : 0;
+});
+
+// One review per user per counselor
+reviewSchema.index({ counselorId: 1, userId: 1 }, { unique: true });
+reviewSchema.index({ counselorId: 1, createdAt: -1 });
+reviewSchema.index({ status: 1, 'reports.0': 1 });
+
+// Method to report the review for moderation
+reviewSchema.methods.report = function(userId, reason) {
+  const alreadyReported = this.reports.some(report => report.userId.equals(userId));
+  if (alreadyReported) {
+    throw new ReviewReportError('You have already reported this review');
+  }
+
+  this.reports.push({ userId, reason });
+
+  // Queue visible reviews for moderation; hidden ones stay hidden
+  if (this.status === 'visible') {
+    this.status = 'pending';
+  }
+  return this.save();
+};
+
+// Static method to compute the rating aggregate for a counselor.
+// Hidden reviews do not count towards the rating.
+reviewSchema.statics.getRatingStats = async function(counselorId) {
+  const [stats] = await this.aggregate([
+    {
+      $match: {
+        counselorId: new mongoose.Types.ObjectId(counselorId),
+        status: { $ne: 'hidden' }
+      }
+    },
+    {
+      $group: {
+        _id: null,
+        average: { $avg: '$rating' },
+        count: { $sum: 1 }
+      }
+    }
+  ]);
+
+  return {
+    rating: stats ? Math.round(stats.average * 10) / 10 : 0,
+    totalReviews: stats ? stats.count : 0
+  };
+};
+
+reviewSchema.statics.ReviewReportError = ReviewReportError;
+
+module.exports = mongoose.model('Review', reviewSchema);
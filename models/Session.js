@@ -0,0 +1,116 @@
+const mongoose = require('mongoose');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Session:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *           description: Session ID, embedded in the tokens issued for it
+ *         device:
+ *           type: string
+ *           description: Device name supplied by the client at login
+ *         ip:
+ *           type: string
+ *         userAgent:
+ *           type: string
+ *         lastUsedAt:
+ *           type: string
+ *           format: date-time
+ *         expiresAt:
+ *           type: string
+ *           format: date-time
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         current:
+ *           type: boolean
+ *           description: Whether this is the session making the request
+ */
+
+// Update lastUsedAt at most this often to avoid a write on every request
+const TOUCH_INTERVAL_MS = 60 * 1000;
+
+const sessionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  device: {
+    type: String,
+    trim: true,
+    maxlength: 100
+  },
+  ip: String,
+  userAgent: String,
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Pushed forward each time the refresh token is rotated
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'logout_all', 'revoked', 'reuse', 'password_change', 'deactivated', 'account_deletion']
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Automatically delete expired sessions
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+sessionSchema.index({ userId: 1, revokedAt: 1 });
+
+// Virtual for whether tokens from this session are still accepted
+sessionSchema.virtual('isActive').get(function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+});
+
+// Method to record that the session was used
+sessionSchema.methods.touch = async function(ip) {
+  if (Date.now() - this.lastUsedAt.getTime() < TOUCH_INTERVAL_MS && ip === this.ip) {
+    return this;
+  }
+
+  this.lastUsedAt = new Date();
+  this.ip = ip;
+  await this.constructor.updateOne({ _id: this._id }, { lastUsedAt: this.lastUsedAt, ip });
+  return this;
+};
+
+// Method to revoke the session; its access and refresh tokens stop working
+sessionSchema.methods.revoke = async function(reason) {
+  if (!this.revokedAt) {
+    this.revokedAt = new Date();
+    this.revokedReason = reason;
+    await this.constructor.updateOne({ _id: this._id, revokedAt: null }, { revokedAt: this.revokedAt, revokedReason: reason });
+  }
+  return this;
+};
+
+// Static method to find a user's sessions that can still be used
+sessionSchema.statics.findActive = function(userId) {
+  return this.find({ userId, revokedAt: null, expiresAt: { $gt: new Date() } });
+};
+
+// Static method to revoke all of a user's sessions, optionally keeping one
+sessionSchema.statics.revokeAll = function(userId, reason, exceptId = null) {
+  const filter = { userId, revokedAt: null };
+  if (exceptId) {
+    filter._id = { $ne: exceptId };
+  }
+  return this.updateMany(filter, { revokedAt: new Date(), revokedReason: reason });
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
@@ -1,5 +1,66 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+const { isValidTimeZone } = require('../utils/timezone');
+const totp = require('../utils/totp');
+const { PROVIDERS } = require('../utils/oidc');
+const { getPolicy: getPasswordPolicy } = require('../utils/passwordPolicy');
+
+const RECOVERY_CODE_COUNT = 10;
+
+// Days between a deletion request and the purge, during which logging in
+// cancels it. 0 purges on the next run of the deletion job.
+const DELETION_GRACE_MS = () => {
+  const days = parseFloat(process.env.ACCOUNT_DELETION_GRACE_DAYS);
+  return (Number.isFinite(days) && days >= 0 ? days : 30) * 24 * 60 * 60 * 1000;
+};
+
+// Failed login attempts before the account is locked, and for how long
+const LOGIN_MAX_ATTEMPTS = () => parseInt(process.env.LOGIN_MAX_ATTEMPTS) || 5;
+const LOGIN_LOCK_MS = () => (parseInt(process.env.LOGIN_LOCK_MINUTES) || 15) * 60 * 1000;
+
+// Failed-login throttling works on { failedLoginAttempts, lastFailedLoginAt,
+// lockUntil }, either a user's lockout fields or the in-memory state the
+// login route keeps for emails without an account
+const isLoginLocked = ({ lockUntil }, now = Date.now()) => Boolean(lockUntil && lockUntil > now);
+
+const getLoginRetryAfter = (state, now = Date.now()) => {
+  if (isLoginLocked(state, now)) {
+    return Math.ceil((state.lockUntil - now) / 1000);
+  }
+
+  if (state.failedLoginAttempts >= 2 && state.lastFailedLoginAt) {
+    const delay = Math.min(2 ** (state.failedLoginAttempts - 2), 30) * 1000;
+    const wait = state.lastFailedLoginAt.getTime() + delay - now;
+    if (wait > 0) {
+      return Math.ceil(wait / 1000);
+    }
+  }
+
+  return 0;
+};
+
+// Failures from before an expired lock or long ago start over
+const failedLoginsStartOver = ({ lastFailedLoginAt, lockUntil }, now = new Date()) => {
+  return !lastFailedLoginAt || now - lastFailedLoginAt > LOGIN_LOCK_MS() || Boolean(lockUntil && lockUntil <= now);
+};
+
+// The state after one more failed attempt, locked once LOGIN_MAX_ATTEMPTS
+// is reached
+const nextFailedLoginState = (state, now = new Date()) => {
+  const failedLoginAttempts = failedLoginsStartOver(state, now) ? 1 : state.failedLoginAttempts + 1;
+  return {
+    failedLoginAttempts,
+    lastFailedLoginAt: now,
+    lockUntil: failedLoginAttempts >= LOGIN_MAX_ATTEMPTS() ? new Date(now.getTime() + LOGIN_LOCK_MS()) : undefined
+  };
+};
+
+// Recovery codes are random, so a plain SHA-256 is enough to store them
+const hashRecoveryCode = (code) => {
+  const normalized = code.toLowerCase().replace(/[^a-z0-9]/g, '');
+  return crypto.createHash('sha256').update(normalized).digest('hex');
+};
 
 /**
  * @swagger
@@ -9,7 +70,6 @@ const bcrypt = require('bcryptjs');
  *       type: object
  *       required:
  *         - email
- *         - password
  *         - firstName
  *         - lastName
  *       properties:
@@ -22,8 +82,8 @@ const bcrypt = require('bcryptjs');
  *           description: User's email address
  *         password:
  *           type: string
- *           minLength: 6
- *           description: User's password (hashed)
+ *           minLength: 8
+ *           description: User's password (hashed). Not set for users who only sign in with a social provider.
  *         firstName:
  *           type: string
  *           description: User's first name
@@ -32,7 +92,7 @@ const bcrypt = require('bcryptjs');
  *           description: User's last name
  *         phone:
  *           type: string
- *           description: User's phone number
+ *           description: User's phone number in E.164 form, e.g. +447700900123
  *         dateOfBirth:
  *           type: string
  *           format: date
@@ -47,6 +107,11 @@ const bcrypt = require('bcryptjs');
  *         isPhoneVerified:
  *           type: boolean
  *           description: Whether phone is verified
+ *         role:
+ *           type: string
+ *           enum: [user, counselor, admin]
+ *           default: user
+ *           description: Access role
  *         isActive:
  *           type: boolean
  *           description: Whether user account is active
@@ -61,10 +126,48 @@ const bcrypt = require('bcryptjs');
  *             language:
  *               type: string
  *               default: en
+ *             timeZone:
+ *               type: string
+ *               default: UTC
+ *               description: IANA time zone used for availability and slot times
  *         lastLogin:
  *           type: string
  *           format: date-time
  *           description: Last login timestamp
+ *         passwordChangedAt:
+ *           type: string
+ *           format: date-time
+ *           description: When the password was last changed or reset
+ *         twoFactor:
+ *           type: object
+ *           properties:
+ *             enabled:
+ *               type: boolean
+ *               description: Whether login requires an authenticator app code
+ *             enabledAt:
+ *               type: string
+ *               format: date-time
+ *         deletionScheduledFor:
+ *           type: string
+ *           format: date-time
+ *           description: When the account will be purged, if deletion was requested
+ *         authProviders:
+ *           type: array
+ *           description: Linked social sign-in accounts
+ *           items:
+ *             type: object
+ *             properties:
+ *               provider:
+ *                 type: string
+ *                 enum: [google, apple]
+ *               subject:
+ *                 type: string
+ *                 description: Account ID at the provider
+ *               email:
+ *                 type: string
+ *               linkedAt:
+ *                 type: string
+ *                 format: date-time
  *         createdAt:
  *           type: string
  *           format: date-time
@@ -75,6 +178,24 @@ const bcrypt = require('bcryptjs');
  *           description: Last update timestamp
  */
 
+const authProviderSchema = new mongoose.Schema({
+  provider: {
+    type: String,
+    enum: PROVIDERS,
+    required: true
+  },
+  // The provider's `sub` claim, stable for the account
+  subject: {
+    type: String,
+    required: true
+  },
+  email: String,
+  linkedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
 const userSchema = new mongoose.Schema({
   email: {
     type: String,
@@ -86,8 +207,15 @@ const userSchema = new mongoose.Schema({
   },
   password: {
     type: String,
-    required: [true, 'Password is required'],
-    minlength: [6, 'Password must be at least 6 characters long'],
+    // Users who only sign in with a social provider have no password
+    required: [function() {
+      return !this.authProviders || this.authProviders.length === 0;
+    }, 'Password is required'],
+    // Routes apply the full policy; the schema only enforces its length
+    validate: {
+      validator: (password) => password.length >= getPasswordPolicy().minLength,
+      message: () => `Password must be at least ${getPasswordPolicy().minLength} characters long`
+    },
     select: false // Don't include password in queries by default
   },
   firstName: {
@@ -129,6 +257,11 @@ const userSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  role: {
+    type: String,
+    enum: ['user', 'counselor', 'admin'],
+    default: 'user'
+  },
   isActive: {
     type: Boolean,
     default: true
@@ -145,11 +278,70 @@ const userSchema = new mongoose.Schema({
     language: {
       type: String,
       default: 'en'
+    },
+    timeZone: {
+      type: String,
+      default: 'UTC',
+      validate: {
+        validator: isValidTimeZone,
+        message: 'Invalid time zone'
+      }
     }
   },
   lastLogin: {
     type: Date,
     default: null
+  },
+  passwordChangedAt: Date,
+  failedLoginAttempts: {
+    type: Number,
+    select: false
+  },
+  lastFailedLoginAt: {
+    type: Date,
+    select: false
+  },
+  lockUntil: {
+    type: Date,
+    select: false
+  },
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    enabledAt: Date,
+    secret: {
+      type: String,
+      select: false
+    },
+    // Secret generated at setup, moved to `secret` once a code confirms it
+    pendingSecret: {
+      type: String,
+      select: false
+    },
+    recoveryCodes: {
+      type: [String],
+      default: undefined,
+      select: false
+    },
+    // Last TOTP time step accepted, so a code can't be used twice
+    lastUsedStep: {
+      type: Number,
+      select: false
+    }
+  },
+  authProviders: {
+    type: [authProviderSchema],
+    default: undefined
+  },
+  // Set while a requested deletion is in its grace period
+  deletionRequestedAt: Date,
+  deletionScheduledFor: Date,
+  // Embedded in issued tokens; bumping it invalidates all of them
+  tokenVersion: {
+    type: Number,
+    default: 0
   }
 }, {
   timestamps: true,
@@ -164,8 +356,17 @@ userSchema.virtual('fullName').get(function() {
 
 // Index for better performance
 userSchema.index({ email: 1 });
-userSchema.index({ phone: 1 });
+// A verified phone number belongs to one account
+userSchema.index(
+  { phone: 1 },
+  { name: 'verified_phone_unique', unique: true, partialFilterExpression: { isPhoneVerified: true } }
+);
 userSchema.index({ createdAt: -1 });
+userSchema.index({ deletionScheduledFor: 1 }, { sparse: true });
+userSchema.index(
+  { 'authProviders.provider': 1, 'authProviders.subject': 1 },
+  { unique: true, partialFilterExpression: { 'authProviders.subject': { $exists: true } } }
+);
 
 // Pre-save middleware to hash password
 userSchema.pre('save', async function(next) {
@@ -174,26 +375,214 @@ userSchema.pre('save', async function(next) {
   try {
     const salt = await bcrypt.genSalt(12);
     this.password = await bcrypt.hash(this.password, salt);
+
+    // Tokens issued with the old password stop working
+    if (!this.isNew) {
+      this.passwordChangedAt = new Date();
+      this.tokenVersion += 1;
+    }
     next();
   } catch (error) {
     next(error);
   }
 });
 
+// Method to invalidate every token issued so far, e.g. on deactivation
+userSchema.methods.invalidateTokens = async function() {
+  const { tokenVersion } = await this.constructor.findByIdAndUpdate(
+    this._id,
+    { $inc: { tokenVersion: 1 } },
+    { new: true }
+  ).select('tokenVersion');
+
+  this.tokenVersion = tokenVersion;
+  return this;
+};
+
+// Method to schedule the account for deletion after the grace period. All
+// issued tokens stop working; logging in again before then cancels it.
+userSchema.methods.scheduleDeletion = async function() {
+  const deletionRequestedAt = new Date();
+  const deletionScheduledFor = new Date(deletionRequestedAt.getTime() + DELETION_GRACE_MS());
+
+  const { tokenVersion } = await this.constructor.findByIdAndUpdate(
+    this._id,
+    { deletionRequestedAt, deletionScheduledFor, $inc: { tokenVersion: 1 } },
+    { new: true }
+  ).select('tokenVersion');
+
+  Object.assign(this, { deletionRequestedAt, deletionScheduledFor, tokenVersion });
+  return this;
+};
+
+// Method to cancel a scheduled deletion. Returns false once the grace
+// period is over, as the purge may already be running.
+userSchema.methods.cancelDeletion = async function() {
+  const result = await this.constructor.updateOne(
+    { _id: this._id, deletionScheduledFor: { $gt: new Date() } },
+    { $unset: { deletionRequestedAt: 1, deletionScheduledFor: 1 } }
+  );
+  if (result.modifiedCount !== 1) {
+    return false;
+  }
+
+  this.deletionRequestedAt = undefined;
+  this.deletionScheduledFor = undefined;
+  return true;
+};
+
+// Method to check whether the grace period of a requested deletion is over
+userSchema.methods.isDeletionDue = function(now = new Date()) {
+  return Boolean(this.deletionScheduledFor && this.deletionScheduledFor <= now);
+};
+
 // Method to compare password
 userSchema.methods.comparePassword = async function(candidatePassword) {
+  if (!this.password) {
+    return false;
+  }
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
+// Method to link a social account. Returns false if a different account
+// from the same provider is already linked.
+userSchema.methods.linkProvider = async function({ provider, subject, email }) {
+  const link = { provider, subject, email, linkedAt: new Date() };
+  const result = await this.constructor.updateOne(
+    { _id: this._id, 'authProviders.provider': { $ne: provider } },
+    { $push: { authProviders: link } }
+  );
+  if (result.modifiedCount !== 1) {
+    return false;
+  }
+
+  this.authProviders = [...(this.authProviders || []), link];
+  return true;
+};
+
+// Method to unlink a social account
+userSchema.methods.unlinkProvider = async function(provider) {
+  await this.constructor.updateOne({ _id: this._id }, { $pull: { authProviders: { provider } } });
+  this.authProviders = (this.authProviders || []).filter(link => link.provider !== provider);
+  return this;
+};
+
 // Method to update last login
 userSchema.methods.updateLastLogin = function() {
   this.lastLogin = new Date();
   return this.save({ validateBeforeSave: false });
 };
 
+// Method to check whether the account is locked after failed logins
+userSchema.methods.isLocked = function(now = Date.now()) {
+  return isLoginLocked(this, now);
+};
+
+// Method to get the seconds until the next login attempt is allowed: the
+// rest of a lockout, or a delay doubling with each failure from the second.
+// Needs the lockout fields selected.
+userSchema.methods.getLoginRetryAfter = function(now = Date.now()) {
+  return getLoginRetryAfter(this, now);
+};
+
+// Method to record a failed login attempt, locking the account once
+// LOGIN_MAX_ATTEMPTS is reached. Returns true if this attempt locked it.
+userSchema.methods.registerFailedLogin = async function() {
+  const now = new Date();
+
+  const update = failedLoginsStartOver(this, now)
+    ? { failedLoginAttempts: 1, lastFailedLoginAt: now, $unset: { lockUntil: 1 } }
+    : { $inc: { failedLoginAttempts: 1 }, lastFailedLoginAt: now };
+
+  const { failedLoginAttempts } = await this.constructor.findByIdAndUpdate(this._id, update, { new: true })
+    .select('+failedLoginAttempts');
+  this.failedLoginAttempts = failedLoginAttempts;
+  this.lastFailedLoginAt = now;
+
+  if (failedLoginAttempts < LOGIN_MAX_ATTEMPTS()) {
+    return false;
+  }
+
+  // Conditional so concurrent failures only lock (and email) once
+  const lockUntil = new Date(now.getTime() + LOGIN_LOCK_MS());
+  const result = await this.constructor.updateOne(
+    { _id: this._id, $or: [{ lockUntil: { $exists: false } }, { lockUntil: { $lte: now } }] },
+    { lockUntil }
+  );
+  this.lockUntil = lockUntil;
+  return result.modifiedCount === 1;
+};
+
+// Method to clear failed login attempts and any lockout
+userSchema.methods.resetLoginAttempts = function() {
+  return this.constructor.updateOne(
+    { _id: this._id },
+    { $unset: { failedLoginAttempts: 1, lastFailedLoginAt: 1, lockUntil: 1 } }
+  );
+};
+
+// Method to replace the recovery codes, returning the new plain codes once
+userSchema.methods.generateRecoveryCodes = function() {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const hex = crypto.randomBytes(5).toString('hex');
+    return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+  });
+
+  this.twoFactor.recoveryCodes = codes.map(hashRecoveryCode);
+  return codes;
+};
+
+// Method to check a second factor: an authenticator code or a recovery
+// code. Both are single use; the user must be loaded with the
+// twoFactor.secret field selected.
+userSchema.methods.verifyTwoFactorCode = async function(code) {
+  if (typeof code !== 'string') {
+    return false;
+  }
+
+  const step = totp.verifyCode(this.twoFactor.secret, code.trim());
+  if (step !== null) {
+    // Conditional update so a concurrent request can't reuse the same step
+    const result = await this.constructor.updateOne(
+      {
+        _id: this._id,
+        $or: [
+          { 'twoFactor.lastUsedStep': { $exists: false } },
+          { 'twoFactor.lastUsedStep': { $lt: step } }
+        ]
+      },
+      { 'twoFactor.lastUsedStep': step }
+    );
+    return result.modifiedCount === 1;
+  }
+
+  const hash = hashRecoveryCode(code);
+  const result = await this.constructor.updateOne(
+    { _id: this._id, 'twoFactor.recoveryCodes': hash },
+    { $pull: { 'twoFactor.recoveryCodes': hash } }
+  );
+  return result.modifiedCount === 1;
+};
+
 // Static method to find user by email
 userSchema.statics.findByEmail = function(email) {
   return this.findOne({ email: email.toLowerCase() });
 };
 
+// Static method to find the user a social account is linked to
+userSchema.statics.findByProvider = function(provider, subject) {
+  return this.findOne({ authProviders: { $elemMatch: { provider, subject } } });
+};
+
+// Static method to find active admins, e.g. for notifications
+userSchema.statics.findAdmins = function() {
+  return this.find({ role: 'admin', isActive: true });
+};
+
+// Failed-login throttling for state not stored on a user
+userSchema.statics.isLoginLocked = isLoginLocked;
+userSchema.statics.getLoginRetryAfter = getLoginRetryAfter;
+userSchema.statics.failedLoginsStartOver = failedLoginsStartOver;
+userSchema.statics.nextFailedLoginState = nextFailedLoginState;
+
 module.exports = mongoose.model('User', userSchema);
\ No newline at end of file
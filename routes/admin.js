@@ -0,0 +1,1052 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const Counselor = require('../models/Counselor');
+const CounselorApplication = require('../models/CounselorApplication');
+const Review = require('../models/Review');
+const User = require('../models/User');
+const AuditLog = require('../models/AuditLog');
+const auth = require('../middleware/auth');
+const { requirePermission } = require('../middleware/authorize');
+const { EDITABLE_FIELDS, counselorRules, applyCounselorUpdates, formatValidationError } = require('../utils/counselorValidation');
+const { sendApplicationStatusEmail } = require('../utils/notifications');
+
+const router = express.Router();
+
+// Give a newly linked user the counselor role so they can use /api/counselor/me
+const promoteLinkedUser = async (userId) => {
+  await User.updateOne({ _id: userId, role: 'user' }, { role: 'counselor' });
+};
+
+// Return a user unlinked from their counselor profile to the user role, so
+// they lose counselor access to a profile that is no longer theirs. Admins
+// keep their role.
+const demoteUnlinkedUser = async (userId) => {
+  await User.updateOne({ _id: userId, role: 'counselor' }, { role: 'user' });
+};
+
+/**
+ * @swagger
+ * /api/admin/reviews/reported:
+ *   get:
+ *     summary: List reported reviews for moderation
+ *     description: Includes previously moderated reviews, which go back to pending when their author edits them.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, visible, hidden]
+ *           default: pending
+ *         description: Filter by moderation status
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 50
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Reported reviews retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     reviews:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Review'
+ *                     pagination:
+ *                       type: object
+ *       403:
+ *         description: Insufficient permissions
+ */
+router.get('/reviews/reported', auth, requirePermission('reviews:moderate'), [
+  query('status').optional().isIn(['pending', 'visible', 'hidden']).withMessage('Invalid status'),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { status = 'pending', page = 1, limit = 20 } = req.query;
+
+    // Reported reviews, and moderated ones their author has since edited
+    const filter = {
+      status,
+      $or: [{ 'reports.0': { $exists: true } }, { 'moderation.moderatedAt': { $exists: true } }]
+    };
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [reviews, total] = await Promise.all([
+      Review.find(filter)
+        .select('+reports')
+        .populate('counselorId', 'name specialization')
+        .populate('userId', 'firstName lastName email')
+        .populate('reports.userId', 'firstName lastName email')
+        .sort({ updatedAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      Review.countDocuments(filter)
+    ]);
+
+    const totalPages = Math.ceil(total / parseInt(limit));
+
+    res.json({
+      status: 'success',
+      data: {
+        reviews,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages,
+          totalReviews: total,
+          hasNextPage: parseInt(page) < totalPages,
+          hasPrevPage: parseInt(page) > 1
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get reported reviews error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/reviews/{id}/status:
+ *   patch:
+ *     summary: Change the moderation status of a review
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Review ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - status
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [pending, visible, hidden]
+ *               note:
+ *                 type: string
+ *                 description: Internal moderation note
+ *     responses:
+ *       200:
+ *         description: Review status updated
+ *       403:
+ *         description: Insufficient permissions
+ *       404:
+ *         description: Review not found
+ */
+router.patch('/reviews/:id/status', auth, requirePermission('reviews:moderate'), [
+  body('status').isIn(['pending', 'visible', 'hidden']).withMessage('Status must be pending, visible or hidden'),
+  body('note').optional().isString().isLength({ max: 500 }).withMessage('Note cannot exceed 500 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const review = await Review.findById(req.params.id);
+    if (!review) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Review not found'
+      });
+    }
+
+    review.status = req.body.status;
+    review.moderation = {
+      moderatedBy: req.user._id,
+      moderatedAt: new Date(),
+      note: req.body.note
+    };
+    await review.save();
+
+    // Hiding or restoring a review changes the counselor's rating
+    const counselor = await Counselor.findById(review.counselorId);
+    if (counselor) {
+      await counselor.updateRating();
+    }
+
+    res.json({
+      status: 'success',
+      message: 'Review status updated',
+      data: {
+        review
+      }
+    });
+  } catch (error) {
+    console.error('Update review status error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid review ID'
+      });
+    }
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/counselors:
+ *   get:
+ *     summary: List all counselors, including deactivated ones
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: isActive
+ *         schema:
+ *           type: boolean
+ *         description: Filter by active state
+ *       - in: query
+ *         name: specialization
+ *         schema:
+ *           type: string
+ *           enum: [career, mental_health, relationship, academic, substance_abuse, family]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 50
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Counselors retrieved successfully
+ *       403:
+ *         description: Insufficient permissions
+ */
+router.get('/counselors', auth, requirePermission('counselors:manage'), [
+  query('isActive').optional().isBoolean().withMessage('isActive must be boolean'),
+  query('specialization').optional().isIn(Counselor.SPECIALIZATIONS).withMessage('Invalid specialization'),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { isActive, specialization, page = 1, limit = 20 } = req.query;
+
+    const filter = {};
+    if (isActive !== undefined) {
+      filter.isActive = isActive === 'true';
+    }
+    if (specialization) {
+      filter.specialization = specialization;
+    }
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [counselors, total] = await Promise.all([
+      Counselor.find(filter)
+        .sort({ name: 1 })
+        .skip(skip)
+        .limit(parseInt(limit))
+        .lean(),
+      Counselor.countDocuments(filter)
+    ]);
+
+    const totalPages = Math.ceil(total / parseInt(limit));
+
+    res.json({
+      status: 'success',
+      data: {
+        counselors,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages,
+          totalCounselors: total,
+          hasNextPage: parseInt(page) < totalPages,
+          hasPrevPage: parseInt(page) > 1
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Admin get counselors error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/counselors:
+ *   post:
+ *     summary: Create a counselor
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Counselor'
+ *     responses:
+ *       201:
+ *         description: Counselor created successfully
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Insufficient permissions
+ */
+router.post('/counselors', auth, requirePermission('counselors:manage'), counselorRules(), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const counselor = applyCounselorUpdates(new Counselor(), req.body);
+
+    if (counselor.userId && !(await User.exists({ _id: counselor.userId }))) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Linked user not found'
+      });
+    }
+
+    await counselor.save();
+
+    if (counselor.userId) {
+      await promoteLinkedUser(counselor.userId);
+    }
+
+    const created = counselor.toObject({ virtuals: false });
+    const changes = AuditLog.diff({}, created, EDITABLE_FIELDS.filter(field => created[field] !== undefined));
+    await AuditLog.record(req, 'create', counselor, changes);
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Counselor created successfully',
+      data: {
+        counselor
+      }
+    });
+  } catch (error) {
+    console.error('Create counselor error:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: formatValidationError(error)
+      });
+    }
+    if (error.code === 11000) {
+      return res.status(409).json({
+        status: 'error',
+        message: 'That user is already linked to another counselor'
+      });
+    }
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/counselors/{id}/audit:
+ *   get:
+ *     summary: Get the change history of a counselor
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Counselor ID
+ *     responses:
+ *       200:
+ *         description: Audit entries retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     entries:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/AuditLog'
+ *       403:
+ *         description: Insufficient permissions
+ */
+router.get('/counselors/:id/audit', auth, requirePermission('counselors:manage'), async (req, res) => {
+  try {
+    const entries = await AuditLog.find({ entityType: 'Counselor', entityId: req.params.id })
+      .populate('actor', 'firstName lastName email')
+      .sort({ createdAt: -1 })
+      .limit(100);
+
+    res.json({
+      status: 'success',
+      data: {
+        entries
+      }
+    });
+  } catch (error) {
+    console.error('Get counselor audit error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid counselor ID'
+      });
+    }
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Shared handler for PUT (replace) and PATCH (partial update)
+const updateCounselor = (replace) => async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const counselor = await Counselor.findById(req.params.id);
+    if (!counselor) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Counselor not found'
+      });
+    }
+
+    const before = counselor.toObject({ virtuals: false });
+    applyCounselorUpdates(counselor, req.body, { replace });
+
+    const previousUserId = before.userId;
+    const linkedUserChanged = String(counselor.userId || '') !== String(previousUserId || '');
+    if (linkedUserChanged && counselor.userId && !(await User.exists({ _id: counselor.userId }))) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Linked user not found'
+      });
+    }
+
+    await counselor.save();
+
+    if (linkedUserChanged) {
+      if (previousUserId) {
+        await demoteUnlinkedUser(previousUserId);
+      }
+      if (counselor.userId) {
+        await promoteLinkedUser(counselor.userId);
+      }
+    }
+
+    const changes = AuditLog.diff(before, counselor.toObject({ virtuals: false }), EDITABLE_FIELDS);
+    if (changes.length) {
+      await AuditLog.record(req, 'update', counselor, changes);
+    }
+
+    res.json({
+      status: 'success',
+      message: 'Counselor updated successfully',
+      data: {
+        counselor
+      }
+    });
+  } catch (error) {
+    console.error('Update counselor error:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: formatValidationError(error)
+      });
+    }
+    if (error.code === 11000) {
+      return res.status(409).json({
+        status: 'error',
+        message: 'That user is already linked to another counselor'
+      });
+    }
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid counselor ID'
+      });
+    }
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /api/admin/counselors/{id}:
+ *   put:
+ *     summary: Replace a counselor's profile
+ *     description: |
+ *       Editable fields missing from the body are cleared, except isActive and userId. Send
+ *       `userId: null` to unlink the user account; an unlinked user goes back to the user role.
+ *       Rating and session counts cannot be set.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Counselor ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Counselor'
+ *     responses:
+ *       200:
+ *         description: Counselor updated successfully
+ *       400:
+ *         description: Validation error
+ *       404:
+ *         description: Counselor not found
+ */
+router.put('/counselors/:id', auth, requirePermission('counselors:manage'), counselorRules(), updateCounselor(true));
+
+/**
+ * @swagger
+ * /api/admin/counselors/{id}:
+ *   patch:
+ *     summary: Update selected fields of a counselor's profile
+ *     description: Nested objects (availability, pricing, contactInfo) are merged with the existing values.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Counselor ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Counselor'
+ *     responses:
+ *       200:
+ *         description: Counselor updated successfully
+ *       400:
+ *         description: Validation error
+ *       404:
+ *         description: Counselor not found
+ */
+router.patch('/counselors/:id', auth, requirePermission('counselors:manage'), counselorRules({ partial: true }), updateCounselor(false));
+
+/**
+ * @swagger
+ * /api/admin/counselors/{id}:
+ *   delete:
+ *     summary: Deactivate a counselor
+ *     description: Counselors are soft-deleted by clearing isActive so bookings and reviews keep their references. Reactivate with PATCH isActive=true.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Counselor ID
+ *     responses:
+ *       200:
+ *         description: Counselor deactivated
+ *       404:
+ *         description: Counselor not found
+ */
+router.delete('/counselors/:id', auth, requirePermission('counselors:manage'), async (req, res) => {
+  try {
+    const counselor = await Counselor.findById(req.params.id);
+    if (!counselor) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Counselor not found'
+      });
+    }
+
+    if (counselor.isActive) {
+      counselor.isActive = false;
+      await counselor.save({ validateBeforeSave: false });
+      await AuditLog.record(req, 'deactivate', counselor, [{ field: 'isActive', from: true, to: false }]);
+    }
+
+    res.json({
+      status: 'success',
+      message: 'Counselor deactivated successfully'
+    });
+  } catch (error) {
+    console.error('Deactivate counselor error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid counselor ID'
+      });
+    }
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/applications:
+ *   get:
+ *     summary: List counselor applications
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, approved, rejected]
+ *           default: pending
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 50
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Applications retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     applications:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/CounselorApplication'
+ *                     pagination:
+ *                       type: object
+ *       403:
+ *         description: Insufficient permissions
+ */
+router.get('/applications', auth, requirePermission('applications:review'), [
+  query('status').optional().isIn(['pending', 'approved', 'rejected']).withMessage('Invalid status'),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { status = 'pending', page = 1, limit = 20 } = req.query;
+
+    const filter = { status };
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    // Oldest pending applications first so none wait indefinitely
+    const [applications, total] = await Promise.all([
+      CounselorApplication.find(filter)
+        .populate('userId', 'firstName lastName email')
+        .populate('reviewedBy', 'firstName lastName email')
+        .sort({ createdAt: status === 'pending' ? 1 : -1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      CounselorApplication.countDocuments(filter)
+    ]);
+
+    const totalPages = Math.ceil(total / parseInt(limit));
+
+    res.json({
+      status: 'success',
+      data: {
+        applications,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages,
+          totalApplications: total,
+          hasNextPage: parseInt(page) < totalPages,
+          hasPrevPage: parseInt(page) > 1
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get applications error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/applications/{id}:
+ *   get:
+ *     summary: Get a counselor application
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Application ID
+ *     responses:
+ *       200:
+ *         description: Application retrieved successfully
+ *       403:
+ *         description: Insufficient permissions
+ *       404:
+ *         description: Application not found
+ */
+router.get('/applications/:id', auth, requirePermission('applications:review'), async (req, res) => {
+  try {
+    const application = await CounselorApplication.findById(req.params.id)
+      .populate('userId', 'firstName lastName email phone isEmailVerified createdAt')
+      .populate('reviewedBy', 'firstName lastName email');
+
+    if (!application) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Application not found'
+      });
+    }
+
+    res.json({
+      status: 'success',
+      data: {
+        application
+      }
+    });
+  } catch (error) {
+    console.error('Get application error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid application ID'
+      });
+    }
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Move a pending application to approved/rejected. Done atomically so two
+// admins reviewing at once can't both act on it; returns null otherwise.
+const claimApplication = (id, reviewer, update) => {
+  return CounselorApplication.findOneAndUpdate(
+    { _id: id, status: 'pending' },
+    { ...update, reviewedBy: reviewer._id, reviewedAt: new Date() },
+    { new: true }
+  );
+};
+
+// Tell the applicant how review went; failures are logged, not surfaced
+const notifyApplicant = async (application, reason) => {
+  try {
+    const user = await User.findById(application.userId);
+    if (user) {
+      await sendApplicationStatusEmail(user.email, user.firstName, application.status, reason);
+    }
+  } catch (error) {
+    console.error('Failed to send application status email:', error);
+  }
+};
+
+/**
+ * @swagger
+ * /api/admin/applications/{id}/approve:
+ *   post:
+ *     summary: Approve a counselor application
+ *     description: Creates an active counselor profile linked to the applicant and gives them the counselor role.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Application ID
+ *     responses:
+ *       201:
+ *         description: Application approved and counselor created
+ *       403:
+ *         description: Insufficient permissions
+ *       404:
+ *         description: Application not found
+ *       409:
+ *         description: Application already reviewed or applicant already a counselor
+ */
+router.post('/applications/:id/approve', auth, requirePermission('applications:review'), async (req, res) => {
+  try {
+    const application = await claimApplication(req.params.id, req.user, { status: 'approved' });
+    if (!application) {
+      const exists = await CounselorApplication.exists({ _id: req.params.id });
+      return res.status(exists ? 409 : 404).json({
+        status: 'error',
+        message: exists ? 'Application has already been reviewed' : 'Application not found'
+      });
+    }
+
+    const counselor = application.toCounselor();
+    try {
+      await counselor.save();
+    } catch (error) {
+      // Put the application back in the queue so it can be fixed or rejected
+      await CounselorApplication.updateOne(
+        { _id: application._id },
+        { status: 'pending', $unset: { reviewedBy: 1, reviewedAt: 1 } }
+      );
+      throw error;
+    }
+
+    application.counselorId = counselor._id;
+    await application.save();
+
+    await promoteLinkedUser(counselor.userId);
+
+    const created = counselor.toObject({ virtuals: false });
+    const changes = AuditLog.diff({}, created, EDITABLE_FIELDS.filter(field => created[field] !== undefined));
+    await AuditLog.record(req, 'create', counselor, changes);
+
+    await notifyApplicant(application);
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Application approved',
+      data: {
+        application,
+        counselor
+      }
+    });
+  } catch (error) {
+    console.error('Approve application error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid application ID'
+      });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: formatValidationError(error)
+      });
+    }
+    if (error.code === 11000) {
+      return res.status(409).json({
+        status: 'error',
+        message: 'The applicant is already linked to a counselor'
+      });
+    }
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/applications/{id}/reject:
+ *   post:
+ *     summary: Reject a counselor application
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Application ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 description: Shared with the applicant
+ *     responses:
+ *       200:
+ *         description: Application rejected
+ *       403:
+ *         description: Insufficient permissions
+ *       404:
+ *         description: Application not found
+ *       409:
+ *         description: Application already reviewed
+ */
+router.post('/applications/:id/reject', auth, requirePermission('applications:review'), [
+  body('reason').isString().trim().notEmpty().withMessage('A reason is required')
+    .isLength({ max: 1000 }).withMessage('Reason cannot exceed 1000 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const application = await claimApplication(req.params.id, req.user, {
+      status: 'rejected',
+      rejectionReason: req.body.reason
+    });
+    if (!application) {
+      const exists = await CounselorApplication.exists({ _id: req.params.id });
+      return res.status(exists ? 409 : 404).json({
+        status: 'error',
+        message: exists ? 'Application has already been reviewed' : 'Application not found'
+      });
+    }
+
+    await notifyApplicant(application, application.rejectionReason);
+
+    res.json({
+      status: 'success',
+      message: 'Application rejected',
+      data: {
+        application
+      }
+    });
+  } catch (error) {
+    console.error('Reject application error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid application ID'
+      });
+    }
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+module.exports = router;
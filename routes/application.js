@@ -0,0 +1,208 @@
+const express = require('express');
+const { validationResult } = require('express-validator');
+const Counselor = require('../models/Counselor');
+const CounselorApplication = require('../models/CounselorApplication');
+const User = require('../models/User');
+const auth = require('../middleware/auth');
+const requireVerified = require('../middleware/requireVerified');
+const { counselorRules } = require('../utils/counselorValidation');
+const { sendEmail, sendApplicationStatusEmail } = require('../utils/notifications');
+
+const router = express.Router();
+
+const APPLICATION_FIELDS = [
+  'name', 'specialization', 'experience', 'qualifications', 'bio', 'languages', 'certifications'
+];
+
+/**
+ * @swagger
+ * /api/applications:
+ *   post:
+ *     summary: Apply to join as a counselor
+ *     tags: [Applications]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - specialization
+ *               - experience
+ *             properties:
+ *               name:
+ *                 type: string
+ *               specialization:
+ *                 type: string
+ *                 enum: [career, mental_health, relationship, academic, substance_abuse, family]
+ *               experience:
+ *                 type: number
+ *               qualifications:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               bio:
+ *                 type: string
+ *               languages:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               certifications:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     name:
+ *                       type: string
+ *                     issuer:
+ *                       type: string
+ *                     dateObtained:
+ *                       type: string
+ *                       format: date
+ *                     expiryDate:
+ *                       type: string
+ *                       format: date
+ *     responses:
+ *       201:
+ *         description: Application submitted
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     application:
+ *                       $ref: '#/components/schemas/CounselorApplication'
+ *       400:
+ *         description: Validation error or already a counselor
+ *       403:
+ *         description: Email not verified (`code` EMAIL_NOT_VERIFIED)
+ *       409:
+ *         description: An application is already pending
+ */
+router.post('/', auth, requireVerified('email'), counselorRules({ fields: APPLICATION_FIELDS }), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    if (await Counselor.exists({ userId: req.user._id })) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Your account already has a counselor profile'
+      });
+    }
+
+    if (await CounselorApplication.exists({ userId: req.user._id, status: 'pending' })) {
+      return res.status(409).json({
+        status: 'error',
+        message: 'You already have an application waiting for review'
+      });
+    }
+
+    const application = new CounselorApplication({ userId: req.user._id });
+    APPLICATION_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) {
+        application[field] = req.body[field];
+      }
+    });
+    await application.save();
+
+    // Confirm receipt and let the admins know there is something to review
+    try {
+      await sendApplicationStatusEmail(req.user.email, req.user.firstName, 'pending');
+
+      const admins = await User.findAdmins().select('email');
+      await Promise.all(admins.map(admin => sendEmail(
+        admin.email,
+        'New counselor application',
+        `${application.name} applied to join as a ${application.specialization.replace('_', ' ')} counselor. Review it in the admin panel.`
+      )));
+    } catch (error) {
+      console.error('Failed to send application emails:', error);
+    }
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Application submitted. We will email you once it has been reviewed.',
+      data: {
+        application
+      }
+    });
+  } catch (error) {
+    console.error('Submit application error:', error);
+    if (error.code === 11000) {
+      return res.status(409).json({
+        status: 'error',
+        message: 'You already have an application waiting for review'
+      });
+    }
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/applications/me:
+ *   get:
+ *     summary: Get your counselor applications
+ *     tags: [Applications]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Applications retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     applications:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/CounselorApplication'
+ */
+router.get('/me', auth, async (req, res) => {
+  try {
+    const applications = await CounselorApplication.find({ userId: req.user._id })
+      .select('-reviewedBy')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      status: 'success',
+      data: {
+        applications
+      }
+    });
+  } catch (error) {
+    console.error('Get applications error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+module.exports = router;
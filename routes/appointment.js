@@ -0,0 +1,711 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const Appointment = require('../models/Appointment');
+const Counselor = require('../models/Counselor');
+const auth = require('../middleware/auth');
+const requireVerified = require('../middleware/requireVerified');
+
+const router = express.Router();
+
+// Whether the user runs the session: the counselor it's booked with, or an
+// admin. Only they can confirm or complete it.
+const canManageAppointment = async (user, appointment) => {
+  if (user.role === 'admin') {
+    return true;
+  }
+  return Boolean(await Counselor.exists({ _id: appointment.counselorId, userId: user._id }));
+};
+
+// Whether the user can see and cancel the appointment: whoever booked it,
+// or anyone who can manage it
+const canAccessAppointment = async (user, appointment) => {
+  if (String(appointment.userId) === String(user._id)) {
+    return true;
+  }
+  return canManageAppointment(user, appointment);
+};
+
+const denyManagement = (res) => {
+  return res.status(403).json({
+    status: 'error',
+    message: 'Only the counselor for this appointment or an admin can do this'
+  });
+};
+
+// Page through the appointments matching `filter`, narrowed by the status,
+// upcoming, page and limit query options, and send them
+const sendAppointmentList = async (res, filter, { status, upcoming, page = 1, limit = 10 }, populate) => {
+  if (status) {
+    filter.status = status;
+  }
+  if (upcoming === 'true') {
+    filter.startTime = { $gt: new Date() };
+  }
+
+  const skip = (parseInt(page) - 1) * parseInt(limit);
+
+  const [appointments, total] = await Promise.all([
+    Appointment.find(filter)
+      .populate(populate)
+      .sort({ startTime: upcoming === 'true' ? 1 : -1 })
+      .skip(skip)
+      .limit(parseInt(limit)),
+    Appointment.countDocuments(filter)
+  ]);
+
+  const totalPages = Math.ceil(total / parseInt(limit));
+
+  res.json({
+    status: 'success',
+    data: {
+      appointments,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages,
+        totalAppointments: total,
+        hasNextPage: parseInt(page) < totalPages,
+        hasPrevPage: parseInt(page) > 1
+      }
+    }
+  });
+};
+
+const listRules = [
+  query('status').optional().isIn(['pending', 'confirmed', 'cancelled', 'completed']).withMessage('Invalid status'),
+  query('upcoming').optional().isBoolean().withMessage('Upcoming must be boolean'),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50')
+];
+
+/**
+ * @swagger
+ * /api/appointments:
+ *   post:
+ *     summary: Request a session with a counselor
+ *     tags: [Appointments]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - counselorId
+ *               - startTime
+ *             properties:
+ *               counselorId:
+ *                 type: string
+ *               startTime:
+ *                 type: string
+ *                 format: date-time
+ *               duration:
+ *                 type: integer
+ *                 minimum: 15
+ *                 maximum: 240
+ *                 default: 60
+ *                 description: Session length in minutes
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Appointment requested successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     appointment:
+ *                       $ref: '#/components/schemas/Appointment'
+ *       400:
+ *         description: Validation error or time outside the counselor's availability
+ *       403:
+ *         description: Email not verified (`code` EMAIL_NOT_VERIFIED)
+ *       404:
+ *         description: Counselor not found
+ *       409:
+ *         description: Time overlaps an existing booking
+ */
+router.post('/', auth, requireVerified('email'), [
+  body('counselorId').isMongoId().withMessage('Invalid counselor ID'),
+  body('startTime').isISO8601().withMessage('Please provide a valid start time'),
+  body('duration').optional().isInt({ min: 15, max: 240 }).withMessage('Duration must be between 15 and 240 minutes'),
+  body('notes').optional().isString().isLength({ max: 500 }).withMessage('Notes cannot exceed 500 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { counselorId, notes, duration = 60 } = req.body;
+    const startTime = new Date(req.body.startTime);
+    const endTime = new Date(startTime.getTime() + parseInt(duration) * 60000);
+
+    if (startTime <= new Date()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Appointments must be booked in the future'
+      });
+    }
+
+    const counselor = await Counselor.findOne({ _id: counselorId, isActive: true });
+    if (!counselor) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Counselor not found'
+      });
+    }
+
+    if (!counselor.isAvailableAt(startTime, endTime)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Requested time is outside the counselor\'s availability'
+      });
+    }
+
+    // Check both calendars for clashes
+    const [counselorClash, userClash] = await Promise.all([
+      Appointment.findOverlapping({ counselorId }, startTime, endTime).countDocuments(),
+      Appointment.findOverlapping({ userId: req.user._id }, startTime, endTime).countDocuments()
+    ]);
+
+    if (counselorClash) {
+      return res.status(409).json({
+        status: 'error',
+        message: 'The counselor already has a session booked at this time'
+      });
+    }
+
+    if (userClash) {
+      return res.status(409).json({
+        status: 'error',
+        message: 'You already have a session booked at this time'
+      });
+    }
+
+    const appointment = await Appointment.create({
+      userId: req.user._id,
+      counselorId,
+      startTime,
+      endTime,
+      notes,
+      price: {
+        amount: counselor.pricing?.perSession,
+        currency: counselor.pricing?.currency
+      }
+    });
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Appointment requested successfully',
+      data: {
+        appointment
+      }
+    });
+  } catch (error) {
+    console.error('Create appointment error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/appointments:
+ *   get:
+ *     summary: List the current user's appointments
+ *     tags: [Appointments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, confirmed, cancelled, completed]
+ *         description: Filter by status
+ *       - in: query
+ *         name: upcoming
+ *         schema:
+ *           type: boolean
+ *         description: Only return sessions that have not started yet
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 50
+ *           default: 10
+ *     responses:
+ *       200:
+ *         description: Appointments retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     appointments:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Appointment'
+ *                     pagination:
+ *                       type: object
+ */
+router.get('/', auth, listRules, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    await sendAppointmentList(res, { userId: req.user._id }, req.query, {
+      path: 'counselorId',
+      select: 'name specialization profilePicture'
+    });
+  } catch (error) {
+    console.error('Get appointments error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/appointments/counselor:
+ *   get:
+ *     summary: List the appointments booked with your counselor profile
+ *     description: Admins can pass counselorId to list any counselor's appointments.
+ *     tags: [Appointments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: counselorId
+ *         schema:
+ *           type: string
+ *         description: Counselor to list (admins only)
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, confirmed, cancelled, completed]
+ *         description: Filter by status
+ *       - in: query
+ *         name: upcoming
+ *         schema:
+ *           type: boolean
+ *         description: Only return sessions that have not started yet
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 50
+ *           default: 10
+ *     responses:
+ *       200:
+ *         description: Appointments retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     appointments:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Appointment'
+ *                     pagination:
+ *                       type: object
+ *       403:
+ *         description: No counselor profile is linked to your account
+ */
+router.get('/counselor', auth, [
+  query('counselorId').optional().isMongoId().withMessage('Invalid counselor ID'),
+  ...listRules
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    let counselorId;
+    if (req.query.counselorId && req.user.role === 'admin') {
+      counselorId = req.query.counselorId;
+    } else {
+      const counselor = await Counselor.findOne({ userId: req.user._id }).select('_id');
+      if (!counselor) {
+        return res.status(403).json({
+          status: 'error',
+          message: 'No counselor profile is linked to your account'
+        });
+      }
+      counselorId = counselor._id;
+    }
+
+    await sendAppointmentList(res, { counselorId }, req.query, {
+      path: 'userId',
+      select: 'firstName lastName email'
+    });
+  } catch (error) {
+    console.error('Get counselor appointments error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/appointments/{id}:
+ *   get:
+ *     summary: Get appointment details
+ *     description: Available to the user who booked it, its counselor and admins.
+ *     tags: [Appointments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Appointment retrieved successfully
+ *       404:
+ *         description: Appointment not found
+ */
+router.get('/:id', auth, async (req, res) => {
+  try {
+    const appointment = await Appointment.findById(req.params.id);
+    if (!appointment || !await canAccessAppointment(req.user, appointment)) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Appointment not found'
+      });
+    }
+
+    await appointment.populate([
+      { path: 'counselorId', select: 'name specialization profilePicture pricing' },
+      { path: 'userId', select: 'firstName lastName email' }
+    ]);
+
+    res.json({
+      status: 'success',
+      data: {
+        appointment
+      }
+    });
+  } catch (error) {
+    console.error('Get appointment error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid appointment ID'
+      });
+    }
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/appointments/{id}/confirm:
+ *   patch:
+ *     summary: Confirm a pending appointment
+ *     description: Only the counselor the appointment is booked with, or an admin, can confirm it.
+ *     tags: [Appointments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Appointment confirmed
+ *       400:
+ *         description: Appointment is not pending
+ *       403:
+ *         description: Not the appointment's counselor or an admin
+ *       404:
+ *         description: Appointment not found
+ *       409:
+ *         description: Time slot has been taken by another confirmed session
+ */
+router.patch('/:id/confirm', auth, async (req, res) => {
+  try {
+    const appointment = await Appointment.findById(req.params.id);
+    if (!appointment) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Appointment not found'
+      });
+    }
+
+    if (!await canManageAppointment(req.user, appointment)) {
+      return denyManagement(res);
+    }
+
+    if (appointment.status !== 'pending') {
+      return res.status(400).json({
+        status: 'error',
+        message: `Cannot confirm an appointment that is ${appointment.status}`
+      });
+    }
+
+    const clash = await Appointment.findOverlapping(
+      { counselorId: appointment.counselorId, status: 'confirmed' },
+      appointment.startTime,
+      appointment.endTime,
+      appointment._id
+    ).countDocuments();
+
+    if (clash) {
+      return res.status(409).json({
+        status: 'error',
+        message: 'This time slot is no longer available'
+      });
+    }
+
+    appointment.status = 'confirmed';
+    appointment.confirmedAt = new Date();
+    await appointment.save();
+
+    res.json({
+      status: 'success',
+      message: 'Appointment confirmed',
+      data: {
+        appointment
+      }
+    });
+  } catch (error) {
+    console.error('Confirm appointment error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid appointment ID'
+      });
+    }
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/appointments/{id}/cancel:
+ *   patch:
+ *     summary: Cancel an appointment
+ *     description: The user who booked it, its counselor or an admin can cancel it.
+ *     tags: [Appointments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Appointment cancelled
+ *       400:
+ *         description: Appointment can no longer be cancelled
+ *       404:
+ *         description: Appointment not found
+ */
+router.patch('/:id/cancel', auth, [
+  body('reason').optional().isString().isLength({ max: 500 }).withMessage('Reason cannot exceed 500 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const appointment = await Appointment.findById(req.params.id);
+    if (!appointment || !await canAccessAppointment(req.user, appointment)) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Appointment not found'
+      });
+    }
+
+    if (!Appointment.ACTIVE_STATUSES.includes(appointment.status)) {
+      return res.status(400).json({
+        status: 'error',
+        message: `Cannot cancel an appointment that is ${appointment.status}`
+      });
+    }
+
+    await appointment.cancel(req.user._id, req.body.reason);
+
+    res.json({
+      status: 'success',
+      message: 'Appointment cancelled',
+      data: {
+        appointment
+      }
+    });
+  } catch (error) {
+    console.error('Cancel appointment error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid appointment ID'
+      });
+    }
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/appointments/{id}/complete:
+ *   patch:
+ *     summary: Mark a confirmed appointment as completed
+ *     description: Only the counselor the appointment is booked with, or an admin, can complete it.
+ *     tags: [Appointments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Appointment completed
+ *       400:
+ *         description: Appointment is not confirmed or has not started yet
+ *       403:
+ *         description: Not the appointment's counselor or an admin
+ *       404:
+ *         description: Appointment not found
+ */
+router.patch('/:id/complete', auth, async (req, res) => {
+  try {
+    const appointment = await Appointment.findById(req.params.id);
+    if (!appointment) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Appointment not found'
+      });
+    }
+
+    if (!await canManageAppointment(req.user, appointment)) {
+      return denyManagement(res);
+    }
+
+    if (appointment.status !== 'confirmed') {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Only confirmed appointments can be completed'
+      });
+    }
+
+    if (appointment.startTime > new Date()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Appointment has not started yet'
+      });
+    }
+
+    await appointment.complete();
+
+    res.json({
+      status: 'success',
+      message: 'Appointment completed',
+      data: {
+        appointment
+      }
+    });
+  } catch (error) {
+    console.error('Complete appointment error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid appointment ID'
+      });
+    }
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,13 +1,197 @@
 const express = require('express');
-const jwt = require('jsonwebtoken');
-const { body, validationResult } = require('express-validator');
+const { body, param, validationResult } = require('express-validator');
 const User = require('../models/User');
 const OTP = require('../models/OTP');
-const { sendEmail, sendSMS, sendOTPEmail, sendWelcomeEmail } = require('../utils/notifications');
+const Session = require('../models/Session');
+const { sendEmail, sendSMS, sendOTPEmail, sendWelcomeEmail, sendAccountLockedEmail } = require('../utils/notifications');
 const auth = require('../middleware/auth');
+const {
+  forgotPasswordLimiter,
+  loginOtpLimiter,
+  resendEmailOtpLimiter,
+  sendPhoneOtpLimiter
+} = require('../middleware/rateLimiters');
+const {
+  RefreshTokenError,
+  issueTokens,
+  startSession,
+  consumeRefreshToken,
+  signTwoFactorChallenge,
+  verifyTwoFactorChallenge
+} = require('../utils/tokens');
+const totp = require('../utils/totp');
+const { PROVIDERS, OIDCError, verifyIdToken } = require('../utils/oidc');
+const { passwordRules } = require('../utils/passwordPolicy');
+const { phoneRules } = require('../utils/phone');
+const { normalizeEmail } = require('../utils/email');
+const { ReauthError, reauthRules, reauthenticate } = require('../utils/reauth');
 
 const router = express.Router();
 
+// Fields needed to check a second factor
+const TWO_FACTOR_FIELDS = '+twoFactor.secret +twoFactor.recoveryCodes +twoFactor.lastUsedStep';
+
+// Fields needed for failed-login throttling
+const LOCKOUT_FIELDS = '+failedLoginAttempts +lastFailedLoginAt +lockUntil';
+
+// Password logins to emails without an account are throttled like real
+// accounts, so the responses don't reveal which emails are registered. The
+// state is kept in memory, capped at this many emails.
+const MAX_UNKNOWN_EMAILS = 10000;
+const unknownEmailFailures = new Map();
+
+const getUnknownEmailThrottle = (email) => unknownEmailFailures.get(email) || {};
+
+const recordUnknownEmailFailure = (email) => {
+  const now = new Date();
+  const state = User.nextFailedLoginState(getUnknownEmailThrottle(email), now);
+  unknownEmailFailures.delete(email);
+  unknownEmailFailures.set(email, state);
+
+  if (unknownEmailFailures.size > MAX_UNKNOWN_EMAILS) {
+    for (const [key, value] of unknownEmailFailures) {
+      if (User.failedLoginsStartOver(value, now)) {
+        unknownEmailFailures.delete(key);
+      }
+    }
+    // Still full: drop the least recently failed
+    if (unknownEmailFailures.size > MAX_UNKNOWN_EMAILS) {
+      unknownEmailFailures.delete(unknownEmailFailures.keys().next().value);
+    }
+  }
+};
+
+// Refuse a login attempt while the account is locked or inside the delay
+// after its last failure. Takes a user with the lockout fields selected, or
+// the throttle state of an unknown email. Returns true if a response was sent.
+const rejectIfThrottled = (state, res) => {
+  const retryAfter = User.getLoginRetryAfter(state);
+  if (!retryAfter) {
+    return false;
+  }
+
+  res.set('Retry-After', String(retryAfter));
+  if (User.isLoginLocked(state)) {
+    res.status(423).json({
+      status: 'error',
+      message: `Account is temporarily locked after too many failed attempts. Try again in ${Math.ceil(retryAfter / 60)} minutes or reset your password.`
+    });
+  } else {
+    res.status(429).json({
+      status: 'error',
+      message: `Too many failed attempts. Please wait ${retryAfter} seconds before trying again.`
+    });
+  }
+  return true;
+};
+
+// Count a failed login attempt and tell the user if it locked the account
+const recordFailedLogin = async (user) => {
+  if (await user.registerFailedLogin()) {
+    try {
+      await sendAccountLockedEmail(user.email, user.firstName, user.lockUntil);
+    } catch (error) {
+      console.error('Failed to send account locked email:', error);
+    }
+  }
+};
+
+// Final step of every login flow: record it, start a session and respond
+// with the user and their tokens
+const completeLogin = async (user, req, res) => {
+  if (user.isDeletionDue()) {
+    return res.status(410).json({
+      status: 'error',
+      message: 'This account is being deleted and can no longer be restored.'
+    });
+  }
+
+  // Logging in during the grace period cancels a requested deletion
+  const deletionCancelled = Boolean(user.deletionScheduledFor) && await user.cancelDeletion();
+
+  await user.updateLastLogin();
+  await user.resetLoginAttempts();
+
+  const { token, refreshToken } = await startSession(user, req);
+
+  // Remove password, lockout state and two-factor secrets from response
+  const userResponse = user.toObject();
+  delete userResponse.password;
+  delete userResponse.failedLoginAttempts;
+  delete userResponse.lastFailedLoginAt;
+  delete userResponse.lockUntil;
+  userResponse.twoFactor = { enabled: user.twoFactor.enabled, enabledAt: user.twoFactor.enabledAt };
+
+  res.json({
+    status: 'success',
+    message: deletionCancelled ? 'Login successful. Your account deletion has been cancelled.' : 'Login successful',
+    data: {
+      user: userResponse,
+      token,
+      refreshToken,
+      ...(deletionCancelled && { deletionCancelled })
+    }
+  });
+};
+
+// Called once the first factor is proven. With two-factor auth it only
+// earns a challenge token, to be exchanged at /login/2fa together with an
+// authenticator code; otherwise the login completes.
+const beginLogin = async (user, req, res) => {
+  if (user.twoFactor.enabled) {
+    return res.json({
+      status: 'success',
+      message: 'Enter the code from your authenticator app',
+      data: {
+        twoFactorRequired: true,
+        challengeToken: signTwoFactorChallenge(user)
+      }
+    });
+  }
+
+  await completeLogin(user, req, res);
+};
+
+// Find the account for a passwordless login. Codes are only sent by SMS to
+// a verified phone number.
+const findPasswordlessUser = ({ email, phone }) => {
+  return email ? User.findByEmail(email) : User.findOne({ phone, isPhoneVerified: true });
+};
+
+// Whether another account has already verified this number
+const isPhoneVerifiedElsewhere = (phone, userId) => {
+  return User.exists({ phone, isPhoneVerified: true, _id: { $ne: userId } });
+};
+
+const passwordlessIdentifierRules = [
+  body('email').optional().isEmail().normalizeEmail().withMessage('Please provide a valid email'),
+  phoneRules('phone', { optional: true }),
+  body().custom(({ email, phone }) => Boolean(email) !== Boolean(phone))
+    .withMessage('Provide either an email or a phone number')
+];
+
+const providerRules = [
+  param('provider').isIn(PROVIDERS).withMessage(`Provider must be one of: ${PROVIDERS.join(', ')}`)
+];
+
+// Respond to an ID token that failed verification
+const sendOIDCError = (res, error) => {
+  return res.status(error.status).json({
+    status: 'error',
+    message: error.message
+  });
+};
+
+// Respond to a rejected one-time code. `code` tells clients whether to let
+// the user retry or request a new code.
+const sendOTPError = (res, error) => {
+  return res.status(400).json({
+    status: 'error',
+    code: error.code,
+    message: error.message
+  });
+};
+
 /**
  * @swagger
  * /api/auth/register:
@@ -31,13 +215,17 @@ const router = express.Router();
  *                 format: email
  *               password:
  *                 type: string
- *                 minLength: 6
+ *                 minLength: 8
+ *                 description: Must meet the password policy; each failed rule is listed in `errors`
  *               firstName:
  *                 type: string
  *               lastName:
  *                 type: string
  *               phone:
  *                 type: string
+ *               device:
+ *                 type: string
+ *                 description: Device name shown in the session list
  *     responses:
  *       201:
  *         description: User registered successfully
@@ -57,15 +245,19 @@ const router = express.Router();
  *                       $ref: '#/components/schemas/User'
  *                     token:
  *                       type: string
+ *                       description: Short-lived access token
+ *                     refreshToken:
+ *                       type: string
+ *                       description: Long-lived token for POST /api/auth/refresh-token
  *       400:
  *         description: Validation error or user already exists
  */
 router.post('/register', [
   body('email').isEmail().normalizeEmail().withMessage('Please provide a valid email'),
-  body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters long'),
   body('firstName').trim().notEmpty().withMessage('First name is required'),
   body('lastName').trim().notEmpty().withMessage('Last name is required'),
-  body('phone').optional().isMobilePhone().withMessage('Please provide a valid phone number')
+  passwordRules('password'),
+  phoneRules('phone', { optional: true })
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -97,38 +289,1033 @@ router.post('/register', [
       phone
     });
 
-    await user.save();
+    await user.save();
+
+    // Generate access and refresh tokens
+    const { token, refreshToken } = await startSession(user, req);
+
+    // Send email verification OTP and welcome email
+    try {
+      const { code } = await OTP.createOTP(user._id, 'email', 'verification', email);
+      await sendOTPEmail(email, code, 'verification');
+      await sendWelcomeEmail(email, firstName);
+    } catch (error) {
+      console.error('Failed to send verification email:', error);
+    }
+
+    // Remove password from response
+    const userResponse = user.toObject();
+    delete userResponse.password;
+
+    res.status(201).json({
+      status: 'success',
+      message: 'User registered successfully. Please check your email for verification code.',
+      data: {
+        user: userResponse,
+        token,
+        refreshToken
+      }
+    });
+  } catch (error) {
+    console.error('Registration error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/login:
+ *   post:
+ *     summary: Login user
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *               - password
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *               password:
+ *                 type: string
+ *               device:
+ *                 type: string
+ *                 description: Device name shown in the session list
+ *     responses:
+ *       200:
+ *         description: Login successful, or a two-factor challenge when 2FA is enabled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     user:
+ *                       $ref: '#/components/schemas/User'
+ *                     token:
+ *                       type: string
+ *                       description: Short-lived access token
+ *                     refreshToken:
+ *                       type: string
+ *                       description: Long-lived token for POST /api/auth/refresh-token
+ *                     twoFactorRequired:
+ *                       type: boolean
+ *                       description: Present instead of the tokens when 2FA is enabled
+ *                     challengeToken:
+ *                       type: string
+ *                       description: Valid for 5 minutes at POST /api/auth/login/2fa
+ *       401:
+ *         description: Invalid credentials
+ *       423:
+ *         description: Account temporarily locked after too many failed attempts
+ *       429:
+ *         description: Retry delay after a failed attempt has not passed
+ */
+router.post('/login', [
+  body('email').isEmail().normalizeEmail().withMessage('Please provide a valid email'),
+  body('password').notEmpty().withMessage('Password is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { email, password } = req.body;
+
+    // Find user and include password for comparison
+    const user = await User.findByEmail(email).select(`+password ${LOCKOUT_FIELDS}`);
+    if (rejectIfThrottled(user || getUnknownEmailThrottle(email), res)) {
+      return;
+    }
+
+    if (!user || !(await user.comparePassword(password))) {
+      if (user) {
+        await recordFailedLogin(user);
+      } else {
+        recordUnknownEmailFailure(email);
+      }
+      return res.status(401).json({
+        status: 'error',
+        message: 'Invalid email or password'
+      });
+    }
+
+    if (!user.isActive) {
+      return res.status(401).json({
+        status: 'error',
+        message: 'Account is deactivated. Please contact support.'
+      });
+    }
+
+    await beginLogin(user, req, res);
+  } catch (error) {
+    console.error('Login error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/login/otp/request:
+ *   post:
+ *     summary: Request a one-time login code
+ *     description: Sends a login code by email, or by SMS to a verified phone number. Provide exactly one of email or phone. The response is the same whether or not an account exists.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *               phone:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Login code sent if the account exists
+ *       400:
+ *         description: Validation error
+ *       429:
+ *         description: Too many code requests for this address
+ */
+router.post('/login/otp/request', loginOtpLimiter, passwordlessIdentifierRules, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await findPasswordlessUser(req.body);
+
+    // Don't reveal if user exists or not for security
+    if (user && user.isActive) {
+      if (req.body.email) {
+        const { code } = await OTP.createOTP(user._id, 'email', 'login', user.email);
+        await sendOTPEmail(user.email, code, 'login');
+      } else {
+        const { code } = await OTP.createOTP(user._id, 'phone', 'login', user.phone);
+        await sendSMS(user.phone, `Your Counselor App login code is: ${code}. This code expires in 5 minutes.`);
+      }
+    }
+
+    res.json({
+      status: 'success',
+      message: 'If an account exists, a login code has been sent.'
+    });
+  } catch (error) {
+    console.error('Request login OTP error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to send login code'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/login/otp/verify:
+ *   post:
+ *     summary: Log in with a one-time code
+ *     description: Exchanges a code from /login/otp/request for tokens. Accounts with two-factor auth get a challenge token instead, as with password login.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - otp
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *               phone:
+ *                 type: string
+ *               otp:
+ *                 type: string
+ *               device:
+ *                 type: string
+ *                 description: Device name shown in the session list
+ *     responses:
+ *       200:
+ *         description: Login successful, or a two-factor challenge when 2FA is enabled
+ *       400:
+ *         description: Invalid, expired, used or exhausted code
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/OTPError'
+ *       401:
+ *         description: Account is deactivated
+ *       423:
+ *         description: Account temporarily locked after too many failed attempts
+ *       429:
+ *         description: Retry delay after a failed attempt has not passed
+ */
+router.post('/login/otp/verify', [
+  ...passwordlessIdentifierRules,
+  body('otp').isLength({ min: OTP.CODE_LENGTH, max: OTP.CODE_LENGTH }).withMessage(`OTP must be ${OTP.CODE_LENGTH} characters`)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const type = req.body.email ? 'email' : 'phone';
+    const user = await findPasswordlessUser(req.body).select(LOCKOUT_FIELDS);
+    if (user && rejectIfThrottled(user, res)) {
+      return;
+    }
+
+    const otpRecord = user && await OTP.findLatestOTP(user._id, type, 'login');
+    if (!otpRecord) {
+      return res.status(400).json({
+        status: 'error',
+        code: 'OTP_NOT_FOUND',
+        message: 'Invalid or expired OTP. Please request a new login code.'
+      });
+    }
+
+    try {
+      await otpRecord.verify(req.body.otp);
+    } catch (error) {
+      if (error.code === 'OTP_INVALID') {
+        await recordFailedLogin(user);
+      }
+      throw error;
+    }
+
+    if (!user.isActive) {
+      return res.status(401).json({
+        status: 'error',
+        message: 'Account is deactivated. Please contact support.'
+      });
+    }
+
+    // The code proves control of the address it was sent to
+    if (type === 'email' && !user.isEmailVerified) {
+      user.isEmailVerified = true;
+      await user.save({ validateBeforeSave: false });
+    }
+
+    await beginLogin(user, req, res);
+  } catch (error) {
+    if (error instanceof OTP.OTPError) {
+      return sendOTPError(res, error);
+    }
+    console.error('Verify login OTP error:', error);
+    res.status(400).json({
+      status: 'error',
+      message: error.message || 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/login/2fa:
+ *   post:
+ *     summary: Complete a two-factor login
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - challengeToken
+ *               - code
+ *             properties:
+ *               challengeToken:
+ *                 type: string
+ *                 description: Returned by POST /api/auth/login
+ *               code:
+ *                 type: string
+ *                 description: Authenticator app code or an unused recovery code
+ *               device:
+ *                 type: string
+ *                 description: Device name shown in the session list
+ *     responses:
+ *       200:
+ *         description: Login successful
+ *       401:
+ *         description: Invalid or expired challenge, or wrong code
+ *       423:
+ *         description: Account temporarily locked after too many failed attempts
+ *       429:
+ *         description: Retry delay after a failed attempt has not passed
+ */
+router.post('/login/2fa', [
+  body('challengeToken').isString().notEmpty().withMessage('Challenge token is required'),
+  body('code').isString().trim().notEmpty().withMessage('Code is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const challenge = verifyTwoFactorChallenge(req.body.challengeToken);
+    const user = challenge && await User.findById(challenge.userId).select(`${TWO_FACTOR_FIELDS} ${LOCKOUT_FIELDS}`);
+    if (!user || challenge.tv !== user.tokenVersion || !user.twoFactor.enabled) {
+      return res.status(401).json({
+        status: 'error',
+        message: 'Login challenge is invalid or has expired. Please log in again.'
+      });
+    }
+
+    if (!user.isActive) {
+      return res.status(401).json({
+        status: 'error',
+        message: 'Account is deactivated. Please contact support.'
+      });
+    }
+
+    if (rejectIfThrottled(user, res)) {
+      return;
+    }
+
+    if (!(await user.verifyTwoFactorCode(req.body.code))) {
+      await recordFailedLogin(user);
+      return res.status(401).json({
+        status: 'error',
+        message: 'Invalid authentication code'
+      });
+    }
+
+    await completeLogin(user, req, res);
+  } catch (error) {
+    console.error('Two-factor login error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/oidc/{provider}:
+ *   post:
+ *     summary: Sign in with Google or Apple
+ *     description: |
+ *       Exchanges an OpenID Connect ID token from the provider's SDK for our tokens.
+ *       An account already linked to the provider account is logged in. Otherwise the
+ *       token's verified email is linked to the existing account with that email, or
+ *       a new account without a password is created.
+ *     tags: [Authentication]
+ *     parameters:
+ *       - in: path
+ *         name: provider
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [google, apple]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - idToken
+ *             properties:
+ *               idToken:
+ *                 type: string
+ *               nonce:
+ *                 type: string
+ *                 description: Nonce sent with the sign-in request, if any
+ *               firstName:
+ *                 type: string
+ *                 description: Used for new accounts when the token has no name (Apple)
+ *               lastName:
+ *                 type: string
+ *               device:
+ *                 type: string
+ *                 description: Device name shown in the session list
+ *     responses:
+ *       200:
+ *         description: Login successful, or a two-factor challenge when 2FA is enabled
+ *       400:
+ *         description: Validation failed, or the provider account has no verified email
+ *       401:
+ *         description: Invalid ID token, or the account is deactivated
+ *       404:
+ *         description: Provider is not enabled
+ *       409:
+ *         description: An account with this email exists but its email is unverified; log in and link the provider instead
+ */
+router.post('/oidc/:provider', [
+  ...providerRules,
+  body('idToken').isString().notEmpty().withMessage('ID token is required'),
+  body('nonce').optional().isString(),
+  body('firstName').optional().trim().isLength({ max: 50 }),
+  body('lastName').optional().trim().isLength({ max: 50 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { provider } = req.params;
+    const identity = await verifyIdToken(provider, req.body.idToken, { nonce: req.body.nonce });
+
+    let user = await User.findByProvider(provider, identity.subject);
+    if (!user) {
+      // Addresses from ID tokens go through the same sanitizer as at
+      // registration
+      const email = identity.emailVerified ? await normalizeEmail(identity.email) : null;
+      if (!email) {
+        return res.status(400).json({
+          status: 'error',
+          message: `Your ${provider} account has no verified email address`
+        });
+      }
+
+      user = await User.findByEmail(email);
+
+      if (user) {
+        // Whoever registered an unverified address may not own it, so they
+        // must not keep access once the owner signs in with a provider
+        if (!user.isEmailVerified) {
+          return res.status(409).json({
+            status: 'error',
+            message: `An account with this email already exists. Log in and link ${provider} from your account instead.`
+          });
+        }
+
+        if (!await user.linkProvider(identity)) {
+          return res.status(409).json({
+            status: 'error',
+            message: `This account is already linked to a different ${provider} account`
+          });
+        }
+      } else {
+        const firstName = identity.firstName || req.body.firstName;
+        const lastName = identity.lastName || req.body.lastName;
+        if (!firstName || !lastName) {
+          return res.status(400).json({
+            status: 'error',
+            message: 'First and last name are required to create an account'
+          });
+        }
+
+        user = new User({
+          email,
+          firstName,
+          lastName,
+          isEmailVerified: true,
+          authProviders: [{ provider, subject: identity.subject, email: identity.email }]
+        });
+        await user.save();
+
+        try {
+          await sendWelcomeEmail(email, firstName);
+        } catch (error) {
+          console.error('Failed to send welcome email:', error);
+        }
+      }
+    }
+
+    if (!user.isActive) {
+      return res.status(401).json({
+        status: 'error',
+        message: 'Account is deactivated. Please contact support.'
+      });
+    }
+
+    await beginLogin(user, req, res);
+  } catch (error) {
+    if (error instanceof OIDCError) {
+      return sendOIDCError(res, error);
+    }
+    if (error.code === 11000) {
+      return res.status(409).json({
+        status: 'error',
+        message: 'This account was just created or linked. Please try again.'
+      });
+    }
+    console.error('Social sign-in error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/oidc/{provider}/link:
+ *   post:
+ *     summary: Link a Google or Apple account
+ *     description: |
+ *       Lets the user sign in with the provider account from then on. Its email does not need to match.
+ *       The user confirms with their password, or without one, with currentProvider and currentIdToken
+ *       from an already linked provider issued in the last 10 minutes.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: provider
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [google, apple]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - idToken
+ *             properties:
+ *               idToken:
+ *                 type: string
+ *               nonce:
+ *                 type: string
+ *               password:
+ *                 type: string
+ *               currentProvider:
+ *                 type: string
+ *                 enum: [google, apple]
+ *               currentIdToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Provider linked
+ *       400:
+ *         description: Password or current ID token is incorrect
+ *       401:
+ *         description: Invalid ID token
+ *       404:
+ *         description: Provider is not enabled
+ *       409:
+ *         description: A different account from this provider is already linked, or this one is linked to another user
+ */
+router.post('/oidc/:provider/link', auth, [
+  ...providerRules,
+  body('idToken').isString().notEmpty().withMessage('ID token is required'),
+  body('nonce').optional().isString(),
+  ...reauthRules('password', { providerField: 'currentProvider', idTokenField: 'currentIdToken' })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    // A linked provider outlives password resets and logout-all, so a
+    // stolen access token alone must not be enough to add one
+    const user = await User.findById(req.user._id).select('+password');
+    await reauthenticate(user, {
+      password: req.body.password,
+      provider: req.body.currentProvider,
+      idToken: req.body.currentIdToken
+    });
+
+    const { provider } = req.params;
+    const identity = await verifyIdToken(provider, req.body.idToken, { nonce: req.body.nonce });
+
+    const linkedUser = await User.findByProvider(provider, identity.subject);
+    if (linkedUser && !linkedUser._id.equals(req.user._id)) {
+      return res.status(409).json({
+        status: 'error',
+        message: `This ${provider} account is linked to another user`
+      });
+    }
+
+    if (!linkedUser && !await user.linkProvider(identity)) {
+      return res.status(409).json({
+        status: 'error',
+        message: `A different ${provider} account is already linked. Unlink it first.`
+      });
+    }
+
+    res.json({
+      status: 'success',
+      message: `${provider} account linked`,
+      data: {
+        authProviders: user.authProviders
+      }
+    });
+  } catch (error) {
+    if (error instanceof ReauthError) {
+      return res.status(400).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+    if (error instanceof OIDCError) {
+      return sendOIDCError(res, error);
+    }
+    if (error.code === 11000) {
+      return res.status(409).json({
+        status: 'error',
+        message: `This ${req.params.provider} account is linked to another user`
+      });
+    }
+    console.error('Link provider error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/oidc/{provider}:
+ *   delete:
+ *     summary: Unlink a Google or Apple account
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: provider
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [google, apple]
+ *     responses:
+ *       200:
+ *         description: Provider unlinked
+ *       400:
+ *         description: It is the only way to sign in; set a password with forgot-password first
+ *       404:
+ *         description: Provider is not linked
+ */
+router.delete('/oidc/:provider', auth, providerRules, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { provider } = req.params;
+    const user = await User.findById(req.user._id).select('+password');
+    const links = user.authProviders || [];
+
+    if (!links.some(link => link.provider === provider)) {
+      return res.status(404).json({
+        status: 'error',
+        message: `No ${provider} account is linked`
+      });
+    }
+
+    if (!user.password && links.length === 1) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'This is your only way to sign in. Set a password with forgot password before unlinking it.'
+      });
+    }
+
+    await user.unlinkProvider(provider);
+
+    res.json({
+      status: 'success',
+      message: `${provider} account unlinked`,
+      data: {
+        authProviders: user.authProviders
+      }
+    });
+  } catch (error) {
+    console.error('Unlink provider error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/2fa/setup:
+ *   post:
+ *     summary: Start two-factor enrollment
+ *     description: Generates a new authenticator secret after confirming the password (or a linked provider for accounts without one). Show the provisioning URI as a QR code, then confirm with a code from the app.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               password:
+ *                 type: string
+ *               provider:
+ *                 type: string
+ *                 enum: [google, apple]
+ *                 description: For accounts without a password, a linked provider
+ *               idToken:
+ *                 type: string
+ *                 description: For accounts without a password, an ID token from that provider issued in the last 10 minutes
+ *     responses:
+ *       200:
+ *         description: Secret generated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     secret:
+ *                       type: string
+ *                       description: Base32 secret for manual entry
+ *                     otpauthUrl:
+ *                       type: string
+ *                       description: otpauth:// provisioning URI for the QR code
+ *       400:
+ *         description: Two-factor auth already enabled, or wrong password or ID token
+ */
+router.post('/2fa/setup', auth, reauthRules(), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    if (req.user.twoFactor.enabled) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    const user = await User.findById(req.user._id).select('+password');
+    await reauthenticate(user, req.body);
+
+    const secret = totp.generateSecret();
+    await User.updateOne({ _id: req.user._id }, { 'twoFactor.pendingSecret': secret });
+
+    res.json({
+      status: 'success',
+      data: {
+        secret,
+        otpauthUrl: totp.getProvisioningUri(secret, req.user.email, process.env.TOTP_ISSUER || 'Counselor App')
+      }
+    });
+  } catch (error) {
+    if (error instanceof ReauthError) {
+      return res.status(400).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+    console.error('Two-factor setup error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/2fa/confirm:
+ *   post:
+ *     summary: Confirm two-factor enrollment
+ *     description: Enables two-factor auth and returns one-time recovery codes. They are only shown once.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 description: Current code from the authenticator app
+ *     responses:
+ *       200:
+ *         description: Two-factor auth enabled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     recoveryCodes:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *       400:
+ *         description: No setup in progress or invalid code
+ *       423:
+ *         description: Account temporarily locked after too many failed attempts
+ *       429:
+ *         description: Retry delay after a failed attempt has not passed
+ */
+router.post('/2fa/confirm', auth, [
+  body('code').isString().trim().notEmpty().withMessage('Code is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.user._id).select(`+twoFactor.pendingSecret ${LOCKOUT_FIELDS}`);
+    if (user.twoFactor.enabled || !user.twoFactor.pendingSecret) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Start two-factor setup first'
+      });
+    }
+
+    if (rejectIfThrottled(user, res)) {
+      return;
+    }
+
+    const step = totp.verifyCode(user.twoFactor.pendingSecret, req.body.code);
+    if (step === null) {
+      await recordFailedLogin(user);
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid authentication code'
+      });
+    }
+
+    user.twoFactor.secret = user.twoFactor.pendingSecret;
+    user.twoFactor.pendingSecret = undefined;
+    user.twoFactor.lastUsedStep = step;
+    user.twoFactor.enabled = true;
+    user.twoFactor.enabledAt = new Date();
+    const recoveryCodes = user.generateRecoveryCodes();
+    await user.save({ validateBeforeSave: false });
+
+    res.json({
+      status: 'success',
+      message: 'Two-factor authentication enabled. Store your recovery codes somewhere safe.',
+      data: {
+        recoveryCodes
+      }
+    });
+  } catch (error) {
+    console.error('Two-factor confirm error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/2fa/recovery-codes:
+ *   post:
+ *     summary: Generate new recovery codes
+ *     description: Replaces all existing recovery codes.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 description: Current code from the authenticator app
+ *     responses:
+ *       200:
+ *         description: New recovery codes generated
+ *       400:
+ *         description: Two-factor auth not enabled or invalid code
+ *       423:
+ *         description: Account temporarily locked after too many failed attempts
+ *       429:
+ *         description: Retry delay after a failed attempt has not passed
+ */
+router.post('/2fa/recovery-codes', auth, [
+  body('code').isString().trim().notEmpty().withMessage('Code is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.user._id).select(`${TWO_FACTOR_FIELDS} ${LOCKOUT_FIELDS}`);
+    if (!user.twoFactor.enabled) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { userId: user._id },
-      process.env.JWT_SECRET,
-      { expiresIn: process.env.JWT_EXPIRES_IN }
-    );
+    if (rejectIfThrottled(user, res)) {
+      return;
+    }
 
-    // Send email verification OTP and welcome email
-    try {
-      const emailOTP = await OTP.createOTP(user._id, 'email', 'verification', email);
-      await sendOTPEmail(email, emailOTP.otp, 'verification');
-      await sendWelcomeEmail(email, firstName);
-    } catch (error) {
-      console.error('Failed to send verification email:', error);
+    if (!(await user.verifyTwoFactorCode(req.body.code))) {
+      await recordFailedLogin(user);
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid authentication code'
+      });
     }
 
-    // Remove password from response
-    const userResponse = user.toObject();
-    delete userResponse.password;
+    const recoveryCodes = user.generateRecoveryCodes();
+    await User.updateOne({ _id: user._id }, { 'twoFactor.recoveryCodes': user.twoFactor.recoveryCodes });
 
-    res.status(201).json({
+    res.json({
       status: 'success',
-      message: 'User registered successfully. Please check your email for verification code.',
+      message: 'New recovery codes generated. The old ones no longer work.',
       data: {
-        user: userResponse,
-        token
+        recoveryCodes
       }
     });
   } catch (error) {
-    console.error('Registration error:', error);
+    console.error('Recovery codes error:', error);
     res.status(500).json({
       status: 'error',
       message: 'Internal server error'
@@ -138,10 +1325,12 @@ router.post('/register', [
 
 /**
  * @swagger
- * /api/auth/login:
+ * /api/auth/2fa/disable:
  *   post:
- *     summary: Login user
+ *     summary: Disable two-factor authentication
  *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
  *     requestBody:
  *       required: true
  *       content:
@@ -149,39 +1338,33 @@ router.post('/register', [
  *           schema:
  *             type: object
  *             required:
- *               - email
- *               - password
+ *               - code
  *             properties:
- *               email:
- *                 type: string
- *                 format: email
  *               password:
  *                 type: string
+ *               provider:
+ *                 type: string
+ *                 enum: [google, apple]
+ *                 description: For accounts without a password, a linked provider
+ *               idToken:
+ *                 type: string
+ *                 description: For accounts without a password, an ID token from that provider issued in the last 10 minutes
+ *               code:
+ *                 type: string
+ *                 description: Authenticator app code or a recovery code
  *     responses:
  *       200:
- *         description: Login successful
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 status:
- *                   type: string
- *                 message:
- *                   type: string
- *                 data:
- *                   type: object
- *                   properties:
- *                     user:
- *                       $ref: '#/components/schemas/User'
- *                     token:
- *                       type: string
- *       401:
- *         description: Invalid credentials
+ *         description: Two-factor auth disabled
+ *       400:
+ *         description: Two-factor auth not enabled, wrong password or ID token, or invalid code
+ *       423:
+ *         description: Account temporarily locked after too many failed attempts
+ *       429:
+ *         description: Retry delay after a failed attempt has not passed
  */
-router.post('/login', [
-  body('email').isEmail().normalizeEmail().withMessage('Please provide a valid email'),
-  body('password').notEmpty().withMessage('Password is required')
+router.post('/2fa/disable', auth, [
+  ...reauthRules(),
+  body('code').isString().trim().notEmpty().withMessage('Code is required')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -193,48 +1376,50 @@ router.post('/login', [
       });
     }
 
-    const { email, password } = req.body;
-
-    // Find user and include password for comparison
-    const user = await User.findByEmail(email).select('+password');
-    if (!user || !(await user.comparePassword(password))) {
-      return res.status(401).json({
+    const user = await User.findById(req.user._id).select(`+password ${TWO_FACTOR_FIELDS} ${LOCKOUT_FIELDS}`);
+    if (!user.twoFactor.enabled) {
+      return res.status(400).json({
         status: 'error',
-        message: 'Invalid email or password'
+        message: 'Two-factor authentication is not enabled'
       });
     }
 
-    if (!user.isActive) {
-      return res.status(401).json({
-        status: 'error',
-        message: 'Account is deactivated. Please contact support.'
-      });
+    if (rejectIfThrottled(user, res)) {
+      return;
     }
 
-    // Update last login
-    await user.updateLastLogin();
+    await reauthenticate(user, req.body);
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { userId: user._id },
-      process.env.JWT_SECRET,
-      { expiresIn: process.env.JWT_EXPIRES_IN }
-    );
+    if (!(await user.verifyTwoFactorCode(req.body.code))) {
+      await recordFailedLogin(user);
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid authentication code'
+      });
+    }
 
-    // Remove password from response
-    const userResponse = user.toObject();
-    delete userResponse.password;
+    await User.updateOne({ _id: user._id }, {
+      'twoFactor.enabled': false,
+      $unset: {
+        'twoFactor.enabledAt': 1,
+        'twoFactor.secret': 1,
+        'twoFactor.recoveryCodes': 1,
+        'twoFactor.lastUsedStep': 1
+      }
+    });
 
     res.json({
       status: 'success',
-      message: 'Login successful',
-      data: {
-        user: userResponse,
-        token
-      }
+      message: 'Two-factor authentication disabled'
     });
   } catch (error) {
-    console.error('Login error:', error);
+    if (error instanceof ReauthError) {
+      return res.status(400).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+    console.error('Two-factor disable error:', error);
     res.status(500).json({
       status: 'error',
       message: 'Internal server error'
@@ -272,8 +1457,10 @@ router.post('/login', [
  *                   type: string
  *                 message:
  *                   type: string
+ *       429:
+ *         description: Too many code requests for this address
  */
-router.post('/forgot-password', [
+router.post('/forgot-password', forgotPasswordLimiter, [
   body('email').isEmail().normalizeEmail().withMessage('Please provide a valid email')
 ], async (req, res) => {
   try {
@@ -298,8 +1485,8 @@ router.post('/forgot-password', [
     }
 
     // Generate and send OTP
-    const otpRecord = await OTP.createOTP(user._id, 'email', 'password_reset', email);
-    await sendOTPEmail(email, otpRecord.otp, 'password_reset');
+    const { code } = await OTP.createOTP(user._id, 'email', 'password_reset', email);
+    await sendOTPEmail(email, code, 'password_reset');
 
     res.json({
       status: 'success',
@@ -338,10 +1525,11 @@ router.post('/forgot-password', [
  *                 type: string
  *               newPassword:
  *                 type: string
- *                 minLength: 6
+ *                 minLength: 8
+ *                 description: Must meet the password policy; each failed rule is listed in `errors`
  *     responses:
  *       200:
- *         description: Password reset successful
+ *         description: Password reset successful. All existing sessions are signed out.
  *         content:
  *           application/json:
  *             schema:
@@ -351,11 +1539,17 @@ router.post('/forgot-password', [
  *                   type: string
  *                 message:
  *                   type: string
+ *       400:
+ *         description: Validation failed, or the code was rejected
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/OTPError'
  */
 router.post('/reset-password', [
   body('email').isEmail().normalizeEmail().withMessage('Please provide a valid email'),
-  body('otp').isLength({ min: 6, max: 6 }).withMessage('OTP must be 6 digits'),
-  body('newPassword').isLength({ min: 6 }).withMessage('Password must be at least 6 characters long')
+  body('otp').isLength({ min: OTP.CODE_LENGTH, max: OTP.CODE_LENGTH }).withMessage(`OTP must be ${OTP.CODE_LENGTH} characters`),
+  passwordRules('newPassword', async req => await User.findByEmail(req.body.email) || req.body)
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -378,10 +1572,11 @@ router.post('/reset-password', [
     }
 
     // Find and verify OTP
-    const otpRecord = await OTP.findValidOTP(user._id, 'email', 'password_reset');
+    const otpRecord = await OTP.findLatestOTP(user._id, 'email', 'password_reset');
     if (!otpRecord) {
       return res.status(400).json({
         status: 'error',
+        code: 'OTP_NOT_FOUND',
         message: 'Invalid or expired OTP'
       });
     }
@@ -392,11 +1587,18 @@ router.post('/reset-password', [
     user.password = newPassword;
     await user.save();
 
+    // Sign out everyone using the old password and lift any lockout
+    await Session.revokeAll(user._id, 'password_change');
+    await user.resetLoginAttempts();
+
     res.json({
       status: 'success',
       message: 'Password reset successful. You can now login with your new password.'
     });
   } catch (error) {
+    if (error instanceof OTP.OTPError) {
+      return sendOTPError(res, error);
+    }
     console.error('Reset password error:', error);
     res.status(400).json({
       status: 'error',
@@ -436,9 +1638,15 @@ router.post('/reset-password', [
  *                   type: string
  *                 message:
  *                   type: string
+ *       400:
+ *         description: Validation failed, or the code was rejected
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/OTPError'
  */
 router.post('/verify-email', auth, [
-  body('otp').isLength({ min: 6, max: 6 }).withMessage('OTP must be 6 digits')
+  body('otp').isLength({ min: OTP.CODE_LENGTH, max: OTP.CODE_LENGTH }).withMessage(`OTP must be ${OTP.CODE_LENGTH} characters`)
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -453,10 +1661,11 @@ router.post('/verify-email', auth, [
     const { otp } = req.body;
 
     // Find and verify OTP
-    const otpRecord = await OTP.findValidOTP(req.user._id, 'email', 'verification');
+    const otpRecord = await OTP.findLatestOTP(req.user._id, 'email', 'verification');
     if (!otpRecord) {
       return res.status(400).json({
         status: 'error',
+        code: 'OTP_NOT_FOUND',
         message: 'Invalid or expired OTP. Please request a new verification code.'
       });
     }
@@ -472,6 +1681,9 @@ router.post('/verify-email', auth, [
       message: 'Email verified successfully!'
     });
   } catch (error) {
+    if (error instanceof OTP.OTPError) {
+      return sendOTPError(res, error);
+    }
     console.error('Email verification error:', error);
     res.status(400).json({
       status: 'error',
@@ -491,8 +1703,10 @@ router.post('/verify-email', auth, [
  *     responses:
  *       200:
  *         description: OTP sent successfully
+ *       429:
+ *         description: Too many code requests for this address
  */
-router.post('/resend-email-otp', auth, async (req, res) => {
+router.post('/resend-email-otp', auth, resendEmailOtpLimiter, async (req, res) => {
   try {
     if (req.user.isEmailVerified) {
       return res.status(400).json({
@@ -502,8 +1716,8 @@ router.post('/resend-email-otp', auth, async (req, res) => {
     }
 
     // Generate and send new OTP
-    const otpRecord = await OTP.createOTP(req.user._id, 'email', 'verification', req.user.email);
-    await sendOTPEmail(req.user.email, otpRecord.otp, 'verification');
+    const { code } = await OTP.createOTP(req.user._id, 'email', 'verification', req.user.email);
+    await sendOTPEmail(req.user.email, code, 'verification');
 
     res.json({
       status: 'success',
@@ -523,6 +1737,7 @@ router.post('/resend-email-otp', auth, async (req, res) => {
  * /api/auth/send-phone-otp:
  *   post:
  *     summary: Send OTP to phone number
+ *     description: The user's current number is kept until the code is confirmed at /api/auth/verify-phone.
  *     tags: [Authentication]
  *     security:
  *       - bearerAuth: []
@@ -537,12 +1752,19 @@ router.post('/resend-email-otp', auth, async (req, res) => {
  *             properties:
  *               phone:
  *                 type: string
+ *                 description: Normalized to E.164; include the country code unless DEFAULT_PHONE_COUNTRY_CODE applies
  *     responses:
  *       200:
  *         description: OTP sent successfully
+ *       400:
+ *         description: Invalid number, or it is already verified on this account
+ *       409:
+ *         description: The number is verified on another account
+ *       429:
+ *         description: Too many code requests for this address
  */
-router.post('/send-phone-otp', auth, [
-  body('phone').isMobilePhone().withMessage('Please provide a valid phone number')
+router.post('/send-phone-otp', auth, sendPhoneOtpLimiter, [
+  phoneRules('phone')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -556,14 +1778,24 @@ router.post('/send-phone-otp', auth, [
 
     const { phone } = req.body;
 
-    // Generate and send OTP
-    const otpRecord = await OTP.createOTP(req.user._id, 'phone', 'verification', phone);
-    await sendSMS(phone, `Your Counselor App verification code is: ${otpRecord.otp}. This code expires in 5 minutes.`);
+    if (phone === req.user.phone && req.user.isPhoneVerified) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'This phone number is already verified'
+      });
+    }
 
-    // Update user's phone number
-    req.user.phone = phone;
-    req.user.isPhoneVerified = false; // Reset verification status
-    await req.user.save();
+    if (await isPhoneVerifiedElsewhere(phone, req.user._id)) {
+      return res.status(409).json({
+        status: 'error',
+        message: 'This phone number is already verified on another account'
+      });
+    }
+
+    // The number is kept on the OTP and only replaces the user's current
+    // one once verified
+    const { code } = await OTP.createOTP(req.user._id, 'phone', 'verification', phone);
+    await sendSMS(phone, `Your Counselor App verification code is: ${code}. This code expires in 5 minutes.`);
 
     res.json({
       status: 'success',
@@ -599,10 +1831,18 @@ router.post('/send-phone-otp', auth, [
  *                 type: string
  *     responses:
  *       200:
- *         description: Phone verified successfully
+ *         description: Phone verified; the number the code was sent to replaces the previous one
+ *       400:
+ *         description: Validation failed, or the code was rejected
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/OTPError'
+ *       409:
+ *         description: The number has been verified on another account
  */
 router.post('/verify-phone', auth, [
-  body('otp').isLength({ min: 6, max: 6 }).withMessage('OTP must be 6 digits')
+  body('otp').isLength({ min: OTP.CODE_LENGTH, max: OTP.CODE_LENGTH }).withMessage(`OTP must be ${OTP.CODE_LENGTH} characters`)
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -617,25 +1857,48 @@ router.post('/verify-phone', auth, [
     const { otp } = req.body;
 
     // Find and verify OTP
-    const otpRecord = await OTP.findValidOTP(req.user._id, 'phone', 'verification');
+    const otpRecord = await OTP.findLatestOTP(req.user._id, 'phone', 'verification');
     if (!otpRecord) {
       return res.status(400).json({
         status: 'error',
+        code: 'OTP_NOT_FOUND',
         message: 'Invalid or expired OTP. Please request a new verification code.'
       });
     }
 
     await otpRecord.verify(otp);
 
-    // Update user verification status
-    req.user.isPhoneVerified = true;
-    await req.user.save();
+    // Promote the number the code was sent to. The unique index on verified
+    // numbers catches another account verifying it in the meantime.
+    const { phone } = otpRecord;
+    const rejectTakenPhone = () => res.status(409).json({
+      status: 'error',
+      message: 'This phone number is already verified on another account'
+    });
+
+    if (await isPhoneVerifiedElsewhere(phone, req.user._id)) {
+      return rejectTakenPhone();
+    }
+    try {
+      await User.updateOne({ _id: req.user._id }, { phone, isPhoneVerified: true });
+    } catch (error) {
+      if (error.code === 11000) {
+        return rejectTakenPhone();
+      }
+      throw error;
+    }
 
     res.json({
       status: 'success',
-      message: 'Phone number verified successfully!'
+      message: 'Phone number verified successfully!',
+      data: {
+        phone
+      }
     });
   } catch (error) {
+    if (error instanceof OTP.OTPError) {
+      return sendOTPError(res, error);
+    }
     console.error('Phone verification error:', error);
     res.status(400).json({
       status: 'error',
@@ -689,10 +1952,20 @@ router.get('/me', auth, async (req, res) => {
  * @swagger
  * /api/auth/refresh-token:
  *   post:
- *     summary: Refresh JWT token
+ *     summary: Exchange a refresh token for new tokens
+ *     description: The refresh token is single-use. Each call returns a new refresh token; replaying an old one revokes every token from that login.
  *     tags: [Authentication]
- *     security:
- *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - refreshToken
+ *             properties:
+ *               refreshToken:
+ *                 type: string
  *     responses:
  *       200:
  *         description: Token refreshed successfully
@@ -708,24 +1981,65 @@ router.get('/me', auth, async (req, res) => {
  *                   properties:
  *                     token:
  *                       type: string
+ *                     refreshToken:
+ *                       type: string
+ *       401:
+ *         description: Refresh token invalid, expired, revoked or reused
  */
-router.post('/refresh-token', auth, async (req, res) => {
+router.post('/refresh-token', [
+  body('refreshToken').isString().notEmpty().withMessage('Refresh token is required')
+], async (req, res) => {
   try {
-    // Generate new JWT token
-    const token = jwt.sign(
-      { userId: req.user._id },
-      process.env.JWT_SECRET,
-      { expiresIn: process.env.JWT_EXPIRES_IN }
-    );
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { session, tokenVersion } = await consumeRefreshToken(req.body.refreshToken);
+
+    const user = await User.findById(session.userId);
+    if (!user || !user.isActive) {
+      await session.revoke('revoked');
+      return res.status(401).json({
+        status: 'error',
+        message: !user ? 'Invalid token. User not found.' : 'Account is deactivated.'
+      });
+    }
+
+    // Issued before a password change or other invalidation
+    if (tokenVersion !== user.tokenVersion) {
+      return res.status(401).json({
+        status: 'error',
+        message: 'Refresh token is no longer valid. Please log in again.'
+      });
+    }
+
+    // Rotate: the next refresh token belongs to the same session
+    await session.touch(req.ip);
+    const { token, refreshToken } = await issueTokens(user, session);
 
     res.json({
       status: 'success',
       message: 'Token refreshed successfully',
       data: {
-        token
+        token,
+        refreshToken
       }
     });
   } catch (error) {
+    if (error instanceof RefreshTokenError) {
+      if (error.reused) {
+        console.warn('Refresh token reuse detected; session revoked');
+      }
+      return res.status(401).json({
+        status: 'error',
+        message: error.message
+      });
+    }
     console.error('Refresh token error:', error);
     res.status(500).json({
       status: 'error',
@@ -738,7 +2052,8 @@ router.post('/refresh-token', auth, async (req, res) => {
  * @swagger
  * /api/auth/logout:
  *   post:
- *     summary: Logout user (client-side token removal)
+ *     summary: Logout user
+ *     description: Revokes the current session; its access and refresh tokens stop working immediately.
  *     tags: [Authentication]
  *     security:
  *       - bearerAuth: []
@@ -748,11 +2063,11 @@ router.post('/refresh-token', auth, async (req, res) => {
  */
 router.post('/logout', auth, async (req, res) => {
   try {
-    // In a stateless JWT system, logout is typically handled client-side
-    // by removing the token. Here we just confirm the logout.
+    await req.authSession.revoke('logout');
+
     res.json({
       status: 'success',
-      message: 'Logout successful. Please remove the token from your client.'
+      message: 'Logout successful. Please remove the tokens from your client.'
     });
   } catch (error) {
     console.error('Logout error:', error);
@@ -763,4 +2078,141 @@ router.post('/logout', auth, async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /api/auth/logout-all:
+ *   post:
+ *     summary: Log out of all devices
+ *     description: Revokes every session of the user, including the current one.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: All sessions revoked
+ */
+router.post('/logout-all', auth, async (req, res) => {
+  try {
+    const result = await Session.revokeAll(req.user._id, 'logout_all');
+
+    res.json({
+      status: 'success',
+      message: 'Logged out of all devices',
+      data: {
+        revokedSessions: result.modifiedCount
+      }
+    });
+  } catch (error) {
+    console.error('Logout all error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/sessions:
+ *   get:
+ *     summary: List active sessions
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Sessions retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     sessions:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Session'
+ */
+router.get('/sessions', auth, async (req, res) => {
+  try {
+    const sessions = await Session.findActive(req.user._id)
+      .select('device ip userAgent lastUsedAt expiresAt createdAt')
+      .sort({ lastUsedAt: -1 })
+      .lean();
+
+    res.json({
+      status: 'success',
+      data: {
+        sessions: sessions.map(session => ({
+          ...session,
+          current: session._id.equals(req.authSession._id)
+        }))
+      }
+    });
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/sessions/{id}:
+ *   delete:
+ *     summary: Revoke a session
+ *     description: Signs out the device using the session. Revoking the current session is the same as logging out.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Session ID
+ *     responses:
+ *       200:
+ *         description: Session revoked
+ *       404:
+ *         description: Session not found
+ */
+router.delete('/sessions/:id', auth, async (req, res) => {
+  try {
+    const session = await Session.findOne({ _id: req.params.id, userId: req.user._id, revokedAt: null });
+    if (!session) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Session not found'
+      });
+    }
+
+    await session.revoke('revoked');
+
+    res.json({
+      status: 'success',
+      message: 'Session revoked successfully'
+    });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid session ID'
+      });
+    }
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
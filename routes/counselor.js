@@ -1,10 +1,55 @@
 const express = require('express');
-const { query, validationResult } = require('express-validator');
+const { body, query, validationResult } = require('express-validator');
 const Counselor = require('../models/Counselor');
+const Appointment = require('../models/Appointment');
+const Review = require('../models/Review');
+const AuditLog = require('../models/AuditLog');
 const auth = require('../middleware/auth');
+const { requirePermission } = require('../middleware/authorize');
+const requireVerified = require('../middleware/requireVerified');
+const { SELF_EDITABLE_FIELDS, counselorRules, applyCounselorUpdates, formatValidationError } = require('../utils/counselorValidation');
+const { getAvailabilityWindows } = require('../utils/availability');
+const { isValidTimeZone, getZonedParts, zonedTimeToUtc, formatInTimeZone } = require('../utils/timezone');
 
 const router = express.Router();
 
+const DAY = 24 * 60 * 60 * 1000;
+
+// Base query for counselors shown in browse and search results. Counselors
+// whose required license lapsed are hidden when HIDE_LAPSED_COUNSELORS=true.
+const listedCounselorsQuery = () => ({
+  isActive: true,
+  ...(process.env.HIDE_LAPSED_COUNSELORS === 'true' ? Counselor.validLicenseFilter() : {})
+});
+
+// Zone to present times in: explicit query parameter, then the user's preference
+const getRequestTimeZone = (req) => req.query.timeZone || req.user.preferences?.timeZone || 'UTC';
+
+// Parse a range boundary; plain dates are midnight in the requesting user's
+// zone, or the following midnight when the whole day should be included
+const parseRangeDate = (value, timeZone, includeWholeDay = false) => {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+  if (!match) {
+    return new Date(value);
+  }
+
+  const [, year, month, day] = match.map(Number);
+  return zonedTimeToUtc({ year, month, day: includeWholeDay ? day + 1 : day }, '00:00', timeZone);
+};
+
+// Upcoming week of availability windows expressed in the given zone
+const getLocalAvailability = (counselor, timeZone) => {
+  const from = new Date();
+  const to = new Date(from.getTime() + 7 * DAY);
+
+  return getAvailabilityWindows(counselor.availability, from, to, counselor.timeZone || 'UTC')
+    .map(window => ({
+      day: getZonedParts(window.start, timeZone).weekday,
+      startTime: formatInTimeZone(window.start, timeZone),
+      endTime: formatInTimeZone(window.end, timeZone)
+    }));
+};
+
 /**
  * @swagger
  * /api/counselor/list:
@@ -49,6 +94,11 @@ const router = express.Router();
  *           enum: [asc, desc]
  *           default: desc
  *         description: Sort order
+ *       - in: query
+ *         name: timeZone
+ *         schema:
+ *           type: string
+ *         description: IANA time zone for returned times (defaults to the user's preference)
  *     responses:
  *       200:
  *         description: List of counselors retrieved successfully
@@ -85,7 +135,8 @@ router.get('/list', auth, [
   query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
   query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50'),
   query('sortBy').optional().isIn(['rating', 'experience', 'name']).withMessage('Invalid sort field'),
-  query('sortOrder').optional().isIn(['asc', 'desc']).withMessage('Sort order must be asc or desc')
+  query('sortOrder').optional().isIn(['asc', 'desc']).withMessage('Sort order must be asc or desc'),
+  query('timeZone').optional().custom(isValidTimeZone).withMessage('Invalid time zone')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -104,9 +155,10 @@ router.get('/list', auth, [
       sortBy = 'rating',
       sortOrder = 'desc'
     } = req.query;
+    const timeZone = getRequestTimeZone(req);
 
     // Build query
-    const query = { isActive: true };
+    const query = listedCounselorsQuery();
     if (specialization) {
       query.specialization = specialization.toLowerCase();
     }
@@ -139,7 +191,11 @@ router.get('/list', auth, [
     res.json({
       status: 'success',
       data: {
-        counselors,
+        counselors: counselors.map(counselor => ({
+          ...counselor,
+          localAvailability: getLocalAvailability(counselor, timeZone)
+        })),
+        timeZone,
         pagination: {
           currentPage,
           totalPages,
@@ -161,22 +217,15 @@ router.get('/list', auth, [
 
 /**
  * @swagger
- * /api/counselor/{id}:
+ * /api/counselor/me:
  *   get:
- *     summary: Get counselor details by ID
+ *     summary: Get the counselor profile linked to the current user
  *     tags: [Counselor]
  *     security:
  *       - bearerAuth: []
- *     parameters:
- *       - in: path
- *         name: id
- *         required: true
- *         schema:
- *           type: string
- *         description: Counselor ID
  *     responses:
  *       200:
- *         description: Counselor details retrieved successfully
+ *         description: Counselor profile retrieved successfully
  *         content:
  *           application/json:
  *             schema:
@@ -189,33 +238,120 @@ router.get('/list', auth, [
  *                   properties:
  *                     counselor:
  *                       $ref: '#/components/schemas/Counselor'
+ *       403:
+ *         description: Counselor role required
  *       404:
- *         description: Counselor not found
+ *         description: No counselor profile linked to this account
  */
-router.get('/:id', auth, async (req, res) => {
+router.get('/me', auth, requirePermission('counselor:profile'), async (req, res) => {
   try {
-    const { id } = req.params;
+    const counselor = await Counselor.findOne({ userId: req.user._id });
+    if (!counselor) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'No counselor profile is linked to this account'
+      });
+    }
 
-    const counselor = await Counselor.findById(id);
+    res.json({
+      status: 'success',
+      data: {
+        counselor
+      }
+    });
+  } catch (error) {
+    console.error('Get own counselor profile error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/counselor/me:
+ *   patch:
+ *     summary: Update the current counselor's own profile
+ *     description: Only bio, languages, timeZone, availability, pricing, profilePicture and contactInfo can be changed here; other fields are ignored. Nested objects are merged with the existing values.
+ *     tags: [Counselor]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               bio:
+ *                 type: string
+ *               languages:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               timeZone:
+ *                 type: string
+ *               availability:
+ *                 type: object
+ *               pricing:
+ *                 type: object
+ *               profilePicture:
+ *                 type: string
+ *               contactInfo:
+ *                 type: object
+ *     responses:
+ *       200:
+ *         description: Profile updated successfully
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Counselor role required
+ *       404:
+ *         description: No counselor profile linked to this account
+ */
+router.patch('/me', auth, requirePermission('counselor:profile'), counselorRules({ partial: true, fields: SELF_EDITABLE_FIELDS }), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const counselor = await Counselor.findOne({ userId: req.user._id });
     if (!counselor) {
       return res.status(404).json({
         status: 'error',
-        message: 'Counselor not found'
+        message: 'No counselor profile is linked to this account'
       });
     }
 
+    const before = counselor.toObject({ virtuals: false });
+    applyCounselorUpdates(counselor, req.body, { fields: SELF_EDITABLE_FIELDS });
+    await counselor.save();
+
+    const changes = AuditLog.diff(before, counselor.toObject({ virtuals: false }), SELF_EDITABLE_FIELDS);
+    if (changes.length) {
+      await AuditLog.record(req, 'update', counselor, changes);
+    }
+
     res.json({
       status: 'success',
+      message: 'Profile updated successfully',
       data: {
         counselor
       }
     });
   } catch (error) {
-    console.error('Get counselor error:', error);
-    if (error.name === 'CastError') {
+    console.error('Update own counselor profile error:', error);
+    if (error.name === 'ValidationError') {
       return res.status(400).json({
         status: 'error',
-        message: 'Invalid counselor ID'
+        message: 'Validation failed',
+        errors: formatValidationError(error)
       });
     }
     res.status(500).json({
@@ -345,6 +481,11 @@ router.get('/specializations', auth, async (req, res) => {
  *           type: string
  *         description: Filter by language
  *       - in: query
+ *         name: timeZone
+ *         schema:
+ *           type: string
+ *         description: IANA time zone for returned times (defaults to the user's preference)
+ *       - in: query
  *         name: page
  *         schema:
  *           type: integer
@@ -365,6 +506,7 @@ router.get('/search', auth, [
   query('q').optional().isLength({ min: 1 }).withMessage('Search query cannot be empty'),
   query('minRating').optional().isFloat({ min: 0, max: 5 }).withMessage('Rating must be between 0 and 5'),
   query('maxPrice').optional().isFloat({ min: 0 }).withMessage('Price must be positive'),
+  query('timeZone').optional().custom(isValidTimeZone).withMessage('Invalid time zone'),
   query('page').optional().isInt({ min: 1 }).withMessage('Page must be positive'),
   query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50')
 ], async (req, res) => {
@@ -387,9 +529,10 @@ router.get('/search', auth, [
       page = 1,
       limit = 10
     } = req.query;
+    const timeZone = getRequestTimeZone(req);
 
     // Build query
-    const query = { isActive: true };
+    const query = listedCounselorsQuery();
 
     if (q) {
       query.$or = [
@@ -433,7 +576,11 @@ router.get('/search', auth, [
     res.json({
       status: 'success',
       data: {
-        counselors,
+        counselors: counselors.map(counselor => ({
+          ...counselor,
+          localAvailability: getLocalAvailability(counselor, timeZone)
+        })),
+        timeZone,
         pagination: {
           currentPage: parseInt(page),
           totalPages,
@@ -453,4 +600,812 @@ router.get('/search', auth, [
   }
 });
 
+// Routes under /:id come last so they don't capture /list, /me, /specializations
+// and /search
+
+/**
+ * @swagger
+ * /api/counselor/{id}:
+ *   get:
+ *     summary: Get counselor details by ID
+ *     tags: [Counselor]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Counselor ID
+ *       - in: query
+ *         name: timeZone
+ *         schema:
+ *           type: string
+ *         description: IANA time zone for returned times (defaults to the user's preference)
+ *     responses:
+ *       200:
+ *         description: Counselor details retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     counselor:
+ *                       $ref: '#/components/schemas/Counselor'
+ *                     localAvailability:
+ *                       type: array
+ *                       description: Availability windows for the next 7 days in the requested zone
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           day:
+ *                             type: string
+ *                           startTime:
+ *                             type: string
+ *                             format: date-time
+ *                           endTime:
+ *                             type: string
+ *                             format: date-time
+ *                     timeZone:
+ *                       type: string
+ *       404:
+ *         description: Counselor not found
+ */
+router.get('/:id', auth, [
+  query('timeZone').optional().custom(isValidTimeZone).withMessage('Invalid time zone')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { id } = req.params;
+    const timeZone = getRequestTimeZone(req);
+
+    const counselor = await Counselor.findById(id);
+    if (!counselor) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Counselor not found'
+      });
+    }
+
+    res.json({
+      status: 'success',
+      data: {
+        counselor,
+        localAvailability: getLocalAvailability(counselor, timeZone),
+        timeZone
+      }
+    });
+  } catch (error) {
+    console.error('Get counselor error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid counselor ID'
+      });
+    }
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/counselor/{id}/slots:
+ *   get:
+ *     summary: Get bookable time slots for a counselor
+ *     tags: [Counselor]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Counselor ID
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Start of the range; a plain date starts at midnight in the requested zone (defaults to now)
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: End of the range; a plain date includes that whole day in the requested zone (defaults to 7 days after from)
+ *       - in: query
+ *         name: duration
+ *         schema:
+ *           type: integer
+ *           minimum: 15
+ *           maximum: 240
+ *           default: 60
+ *         description: Slot length in minutes
+ *       - in: query
+ *         name: timeZone
+ *         schema:
+ *           type: string
+ *         description: IANA time zone for returned times (defaults to the user's preference)
+ *     responses:
+ *       200:
+ *         description: Available slots retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     slots:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           startTime:
+ *                             type: string
+ *                             format: date-time
+ *                           endTime:
+ *                             type: string
+ *                             format: date-time
+ *                     from:
+ *                       type: string
+ *                       format: date-time
+ *                     to:
+ *                       type: string
+ *                       format: date-time
+ *                     duration:
+ *                       type: integer
+ *                     timeZone:
+ *                       type: string
+ *       400:
+ *         description: Invalid date range or time zone
+ *       404:
+ *         description: Counselor not found
+ */
+router.get('/:id/slots', auth, [
+  query('from').optional().isISO8601().withMessage('From must be a valid date'),
+  query('to').optional().isISO8601().withMessage('To must be a valid date'),
+  query('duration').optional().isInt({ min: 15, max: 240 }).withMessage('Duration must be between 15 and 240 minutes'),
+  query('timeZone').optional().custom(isValidTimeZone).withMessage('Invalid time zone')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const duration = parseInt(req.query.duration) || 60;
+    const timeZone = getRequestTimeZone(req);
+    const now = new Date();
+
+    let from = req.query.from ? parseRangeDate(req.query.from, timeZone) : now;
+    if (from < now) {
+      from = now;
+    }
+
+    const to = req.query.to
+      ? parseRangeDate(req.query.to, timeZone, true)
+      : new Date(from.getTime() + 7 * DAY);
+
+    if (to <= from) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'The end of the range must be after its start'
+      });
+    }
+
+    if (to - from > 31 * DAY) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Date range cannot exceed 31 days'
+      });
+    }
+
+    const counselor = await Counselor.findOne({ _id: req.params.id, isActive: true });
+    if (!counselor) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Counselor not found'
+      });
+    }
+
+    const slots = await counselor.getAvailableSlots(from, to, duration);
+
+    res.json({
+      status: 'success',
+      data: {
+        slots: slots.map(slot => ({
+          startTime: formatInTimeZone(slot.startTime, timeZone),
+          endTime: formatInTimeZone(slot.endTime, timeZone)
+        })),
+        from: formatInTimeZone(from, timeZone),
+        to: formatInTimeZone(to, timeZone),
+        duration,
+        timeZone
+      }
+    });
+  } catch (error) {
+    console.error('Get counselor slots error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid counselor ID'
+      });
+    }
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/counselor/{id}/reviews:
+ *   get:
+ *     summary: Get reviews for a counselor
+ *     tags: [Counselor]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Counselor ID
+ *       - in: query
+ *         name: sortBy
+ *         schema:
+ *           type: string
+ *           enum: [newest, highest, lowest]
+ *           default: newest
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 50
+ *           default: 10
+ *     responses:
+ *       200:
+ *         description: Reviews retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     reviews:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Review'
+ *                     rating:
+ *                       type: number
+ *                     totalReviews:
+ *                       type: integer
+ *                     pagination:
+ *                       type: object
+ *       404:
+ *         description: Counselor not found
+ */
+router.get('/:id/reviews', auth, [
+  query('sortBy').optional().isIn(['newest', 'highest', 'lowest']).withMessage('Invalid sort field'),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { sortBy = 'newest', page = 1, limit = 10 } = req.query;
+
+    const counselor = await Counselor.findById(req.params.id);
+    if (!counselor) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Counselor not found'
+      });
+    }
+
+    const sortOptions = {
+      newest: { createdAt: -1 },
+      highest: { rating: -1, createdAt: -1 },
+      lowest: { rating: 1, createdAt: -1 }
+    };
+
+    const filter = { counselorId: counselor._id, status: { $ne: 'hidden' } };
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [reviews, total] = await Promise.all([
+      Review.find(filter)
+        .select('-moderation')
+        .populate('userId', 'firstName profilePicture')
+        .sort(sortOptions[sortBy])
+        .skip(skip)
+        .limit(parseInt(limit))
+        .lean(),
+      Review.countDocuments(filter)
+    ]);
+
+    const totalPages = Math.ceil(total / parseInt(limit));
+
+    res.json({
+      status: 'success',
+      data: {
+        reviews,
+        rating: counselor.rating,
+        totalReviews: counselor.totalReviews,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages,
+          totalReviews: total,
+          hasNextPage: parseInt(page) < totalPages,
+          hasPrevPage: parseInt(page) > 1
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get reviews error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid counselor ID'
+      });
+    }
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/counselor/{id}/reviews:
+ *   post:
+ *     summary: Review a counselor after a completed session
+ *     tags: [Counselor]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Counselor ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - rating
+ *             properties:
+ *               rating:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 5
+ *               comment:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Review created successfully
+ *       403:
+ *         description: No completed session with this counselor, or email not verified (`code` EMAIL_NOT_VERIFIED)
+ *       404:
+ *         description: Counselor not found
+ *       409:
+ *         description: Counselor already reviewed by this user
+ */
+router.post('/:id/reviews', auth, requireVerified('email'), [
+  body('rating').isInt({ min: 1, max: 5 }).withMessage('Rating must be a whole number between 1 and 5'),
+  body('comment').optional().isString().isLength({ max: 2000 }).withMessage('Comment cannot exceed 2000 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const counselor = await Counselor.findById(req.params.id);
+    if (!counselor) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Counselor not found'
+      });
+    }
+
+    // Only users who actually had a session can review
+    const completedSession = await Appointment.findOne({
+      userId: req.user._id,
+      counselorId: counselor._id,
+      status: 'completed'
+    }).sort({ completedAt: -1 });
+
+    if (!completedSession) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'You can only review counselors after a completed session'
+      });
+    }
+
+    const existingReview = await Review.exists({ counselorId: counselor._id, userId: req.user._id });
+    if (existingReview) {
+      return res.status(409).json({
+        status: 'error',
+        message: 'You have already reviewed this counselor'
+      });
+    }
+
+    const review = await Review.create({
+      counselorId: counselor._id,
+      userId: req.user._id,
+      appointmentId: completedSession._id,
+      rating: parseInt(req.body.rating),
+      comment: req.body.comment
+    });
+
+    await counselor.updateRating();
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Review submitted successfully',
+      data: {
+        review,
+        rating: counselor.rating,
+        totalReviews: counselor.totalReviews
+      }
+    });
+  } catch (error) {
+    console.error('Create review error:', error);
+    if (error.code === 11000) {
+      return res.status(409).json({
+        status: 'error',
+        message: 'You have already reviewed this counselor'
+      });
+    }
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid counselor ID'
+      });
+    }
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/counselor/{id}/reviews/{reviewId}:
+ *   put:
+ *     summary: Edit your review of a counselor
+ *     tags: [Counselor]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Counselor ID
+ *       - in: path
+ *         name: reviewId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               rating:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 5
+ *               comment:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Review updated successfully. A review a moderator has already approved goes back to pending.
+ *       404:
+ *         description: Review not found
+ */
+router.put('/:id/reviews/:reviewId', auth, [
+  body('rating').optional().isInt({ min: 1, max: 5 }).withMessage('Rating must be a whole number between 1 and 5'),
+  body('comment').optional().isString().isLength({ max: 2000 }).withMessage('Comment cannot exceed 2000 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const review = await Review.findOne({
+      _id: req.params.reviewId,
+      counselorId: req.params.id,
+      userId: req.user._id
+    });
+
+    if (!review) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Review not found'
+      });
+    }
+
+    if (req.body.rating !== undefined) {
+      review.rating = parseInt(req.body.rating);
+    }
+    if (req.body.comment !== undefined) {
+      review.comment = req.body.comment;
+    }
+
+    // A moderator approved the old text, not this one; hidden reviews stay
+    // hidden
+    if (review.status === 'visible' && review.moderation && review.moderation.moderatedAt) {
+      review.status = 'pending';
+    }
+    await review.save();
+
+    const counselor = await Counselor.findById(review.counselorId);
+    if (!counselor) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Counselor not found'
+      });
+    }
+    await counselor.updateRating();
+
+    res.json({
+      status: 'success',
+      message: 'Review updated successfully',
+      data: {
+        review,
+        rating: counselor.rating,
+        totalReviews: counselor.totalReviews
+      }
+    });
+  } catch (error) {
+    console.error('Update review error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid review ID'
+      });
+    }
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/counselor/{id}/reviews/{reviewId}:
+ *   delete:
+ *     summary: Delete your review of a counselor
+ *     tags: [Counselor]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Counselor ID
+ *       - in: path
+ *         name: reviewId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Review deleted successfully
+ *       403:
+ *         description: Review is hidden or awaiting moderation
+ *       404:
+ *         description: Review not found
+ */
+router.delete('/:id/reviews/:reviewId', auth, async (req, res) => {
+  try {
+    const filter = {
+      _id: req.params.reviewId,
+      counselorId: req.params.id,
+      userId: req.user._id
+    };
+
+    // Reviews that are hidden or awaiting moderation are kept, so deleting
+    // and posting again can't get around the moderator
+    const review = await Review.findOneAndDelete({ ...filter, status: 'visible' });
+
+    if (!review) {
+      const underModeration = await Review.exists(filter);
+      return res.status(underModeration ? 403 : 404).json({
+        status: 'error',
+        message: underModeration
+          ? 'This review is under moderation and cannot be deleted'
+          : 'Review not found'
+      });
+    }
+
+    const counselor = await Counselor.findById(review.counselorId);
+    if (counselor) {
+      await counselor.updateRating();
+    }
+
+    res.json({
+      status: 'success',
+      message: 'Review deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete review error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid review ID'
+      });
+    }
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/counselor/{id}/reviews/{reviewId}/report:
+ *   post:
+ *     summary: Report a review as abusive or inappropriate
+ *     tags: [Counselor]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Counselor ID
+ *       - in: path
+ *         name: reviewId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Review reported and queued for moderation
+ *       400:
+ *         description: Own review or already reported
+ *       404:
+ *         description: Review not found
+ */
+router.post('/:id/reviews/:reviewId/report', auth, [
+  body('reason').optional().isString().isLength({ max: 500 }).withMessage('Reason cannot exceed 500 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const review = await Review.findOne({
+      _id: req.params.reviewId,
+      counselorId: req.params.id,
+      status: { $ne: 'hidden' }
+    }).select('+reports');
+
+    if (!review) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Review not found'
+      });
+    }
+
+    if (review.userId.equals(req.user._id)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'You cannot report your own review'
+      });
+    }
+
+    await review.report(req.user._id, req.body.reason);
+
+    res.json({
+      status: 'success',
+      message: 'Review reported. Our support team will look into it.'
+    });
+  } catch (error) {
+    if (error instanceof Review.ReviewReportError) {
+      return res.status(400).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+    console.error('Report review error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid review ID'
+      });
+    }
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -1,7 +1,19 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const { body, query, validationResult } = require('express-validator');
 const User = require('../models/User');
+const OTP = require('../models/OTP');
+const Session = require('../models/Session');
+const DataExport = require('../models/DataExport');
 const auth = require('../middleware/auth');
+const requireVerified = require('../middleware/requireVerified');
+const { changeEmailLimiter } = require('../middleware/rateLimiters');
+const { sendOTPEmail, sendEmailChangedEmail, sendAccountDeletionScheduledEmail } = require('../utils/notifications');
+const { reissueTokens } = require('../utils/tokens');
+const { isValidTimeZone } = require('../utils/timezone');
+const { passwordRules } = require('../utils/passwordPolicy');
+const { phoneRules } = require('../utils/phone');
+const { ReauthError, reauthRules, reauthenticate } = require('../utils/reauth');
+const { processExport } = require('../utils/dataExport');
 
 const router = express.Router();
 
@@ -67,6 +79,7 @@ router.get('/profile', auth, async (req, res) => {
  *                 type: string
  *               phone:
  *                 type: string
+ *                 description: Only while the current number is unverified; verified numbers change through send-phone-otp
  *               dateOfBirth:
  *                 type: string
  *                 format: date
@@ -80,18 +93,24 @@ router.get('/profile', auth, async (req, res) => {
  *                     type: boolean
  *                   language:
  *                     type: string
+ *                   timeZone:
+ *                     type: string
+ *                     description: IANA time zone, e.g. Europe/London
  *     responses:
  *       200:
  *         description: Profile updated successfully
+ *       400:
+ *         description: Validation failed, or an attempt to replace a verified phone number
  */
 router.put('/profile', auth, [
   body('firstName').optional().trim().notEmpty().withMessage('First name cannot be empty'),
   body('lastName').optional().trim().notEmpty().withMessage('Last name cannot be empty'),
-  body('phone').optional().isMobilePhone().withMessage('Please provide a valid phone number'),
+  phoneRules('phone', { optional: true }),
   body('dateOfBirth').optional().isISO8601().withMessage('Please provide a valid date'),
   body('gender').optional().isIn(['male', 'female', 'other', 'prefer_not_to_say']).withMessage('Invalid gender'),
   body('preferences.notifications').optional().isBoolean().withMessage('Notifications preference must be boolean'),
-  body('preferences.language').optional().isString().withMessage('Language must be a string')
+  body('preferences.language').optional().isString().withMessage('Language must be a string'),
+  body('preferences.timeZone').optional().custom(isValidTimeZone).withMessage('Invalid time zone')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -115,8 +134,15 @@ router.put('/profile', auth, [
       }
     });
 
-    // If phone is being updated, reset phone verification
+    // A verified number is only replaced through send-phone-otp and
+    // verify-phone, so a typo can't take it away
     if (updates.phone && updates.phone !== req.user.phone) {
+      if (req.user.isPhoneVerified) {
+        return res.status(400).json({
+          status: 'error',
+          message: 'Your phone number is verified. Use /api/auth/send-phone-otp to change it.'
+        });
+      }
       updates.isPhoneVerified = false;
     }
 
@@ -147,6 +173,7 @@ router.put('/profile', auth, [
  * /api/user/change-password:
  *   put:
  *     summary: Change user password
+ *     description: Accounts created through social sign-in have no password; they set one here by confirming with a linked provider instead of currentPassword.
  *     tags: [User]
  *     security:
  *       - bearerAuth: []
@@ -157,21 +184,44 @@ router.put('/profile', auth, [
  *           schema:
  *             type: object
  *             required:
- *               - currentPassword
  *               - newPassword
  *             properties:
  *               currentPassword:
  *                 type: string
+ *               provider:
+ *                 type: string
+ *                 enum: [google, apple]
+ *                 description: For accounts without a password, a linked provider
+ *               idToken:
+ *                 type: string
+ *                 description: For accounts without a password, an ID token from that provider issued in the last 10 minutes
  *               newPassword:
  *                 type: string
- *                 minLength: 6
+ *                 minLength: 8
+ *                 description: Must meet the password policy; each failed rule is listed in `errors`
  *     responses:
  *       200:
- *         description: Password changed successfully
+ *         description: Password changed successfully. Other sessions are revoked and new tokens are returned for this one.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     token:
+ *                       type: string
+ *                     refreshToken:
+ *                       type: string
  */
 router.put('/change-password', auth, [
-  body('currentPassword').notEmpty().withMessage('Current password is required'),
-  body('newPassword').isLength({ min: 6 }).withMessage('New password must be at least 6 characters long')
+  ...reauthRules('currentPassword'),
+  passwordRules('newPassword', req => req.user)
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -183,30 +233,234 @@ router.put('/change-password', auth, [
       });
     }
 
-    const { currentPassword, newPassword } = req.body;
+    const { currentPassword, newPassword, provider, idToken } = req.body;
 
     // Get user with password
     const user = await User.findById(req.user._id).select('+password');
     
-    // Verify current password
-    const isCurrentPasswordValid = await user.comparePassword(currentPassword);
-    if (!isCurrentPasswordValid) {
+    // Verify current password, or a linked provider if there is none yet
+    await reauthenticate(user, { password: currentPassword, provider, idToken });
+
+    // Update password; this invalidates existing tokens, so sign out other
+    // devices and give the current session fresh tokens
+    user.password = newPassword;
+    await user.save();
+    await Session.revokeAll(user._id, 'password_change', req.authSession._id);
+    const { token, refreshToken } = await reissueTokens(user, req.authSession);
+
+    res.json({
+      status: 'success',
+      message: 'Password changed successfully. Other devices have been signed out.',
+      data: {
+        token,
+        refreshToken
+      }
+    });
+  } catch (error) {
+    if (error instanceof ReauthError) {
       return res.status(400).json({
         status: 'error',
-        message: 'Current password is incorrect'
+        message: error.message
       });
     }
+    console.error('Change password error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+});
 
-    // Update password
-    user.password = newPassword;
-    await user.save();
+/**
+ * @swagger
+ * /api/user/change-email:
+ *   post:
+ *     summary: Request an email address change
+ *     description: Sends a code to the new address. The email is only changed once the code is confirmed at /api/user/change-email/confirm.
+ *     tags: [User]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - newEmail
+ *             properties:
+ *               newEmail:
+ *                 type: string
+ *                 format: email
+ *               currentPassword:
+ *                 type: string
+ *               provider:
+ *                 type: string
+ *                 enum: [google, apple]
+ *                 description: For accounts without a password, a linked provider
+ *               idToken:
+ *                 type: string
+ *                 description: For accounts without a password, an ID token from that provider issued in the last 10 minutes
+ *     responses:
+ *       200:
+ *         description: Code sent to the new address
+ *       400:
+ *         description: Validation failed, or the current password or ID token is incorrect
+ *       409:
+ *         description: Email is already in use
+ *       429:
+ *         description: Too many code requests
+ */
+router.post('/change-email', auth, changeEmailLimiter, [
+  body('newEmail').isEmail().normalizeEmail().withMessage('Please provide a valid email'),
+  ...reauthRules('currentPassword')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { newEmail, currentPassword, provider, idToken } = req.body;
+
+    const user = await User.findById(req.user._id).select('+password');
+    await reauthenticate(user, { password: currentPassword, provider, idToken });
+
+    if (newEmail === user.email) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'New email must be different from your current email'
+      });
+    }
+
+    if (await User.exists({ email: newEmail })) {
+      return res.status(409).json({
+        status: 'error',
+        message: 'Email is already in use'
+      });
+    }
+
+    // The pending address is kept on the OTP until it is confirmed
+    const { code } = await OTP.createOTP(user._id, 'email', 'email_change', newEmail);
+    await sendOTPEmail(newEmail, code, 'email_change');
 
     res.json({
       status: 'success',
-      message: 'Password changed successfully'
+      message: `A confirmation code has been sent to ${newEmail}`
     });
   } catch (error) {
-    console.error('Change password error:', error);
+    if (error instanceof ReauthError) {
+      return res.status(400).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+    console.error('Change email error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/user/change-email/confirm:
+ *   post:
+ *     summary: Confirm the new email address
+ *     description: Switches the account to the new address and notifies the old one.
+ *     tags: [User]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - otp
+ *             properties:
+ *               otp:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Email changed
+ *       400:
+ *         description: Validation failed, or the code was rejected
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/OTPError'
+ *       409:
+ *         description: The new email was taken by another account in the meantime
+ */
+router.post('/change-email/confirm', auth, [
+  body('otp').isLength({ min: OTP.CODE_LENGTH, max: OTP.CODE_LENGTH }).withMessage(`OTP must be ${OTP.CODE_LENGTH} characters`)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const otpRecord = await OTP.findLatestOTP(req.user._id, 'email', 'email_change');
+    if (!otpRecord) {
+      return res.status(400).json({
+        status: 'error',
+        code: 'OTP_NOT_FOUND',
+        message: 'Invalid or expired OTP. Please request a new email change.'
+      });
+    }
+
+    await otpRecord.verify(req.body.otp);
+
+    const oldEmail = req.user.email;
+    const newEmail = otpRecord.email;
+
+    // The unique index settles a race with a registration for the same address
+    try {
+      await User.updateOne({ _id: req.user._id }, { email: newEmail, isEmailVerified: true });
+    } catch (error) {
+      if (error.code === 11000) {
+        return res.status(409).json({
+          status: 'error',
+          message: 'Email is already in use'
+        });
+      }
+      throw error;
+    }
+
+    try {
+      await sendEmailChangedEmail(oldEmail, req.user.firstName, newEmail);
+    } catch (error) {
+      console.error('Failed to notify old email address:', error);
+    }
+
+    res.json({
+      status: 'success',
+      message: 'Email changed successfully',
+      data: {
+        email: newEmail
+      }
+    });
+  } catch (error) {
+    if (error instanceof OTP.OTPError) {
+      return res.status(400).json({
+        status: 'error',
+        code: error.code,
+        message: error.message
+      });
+    }
+    console.error('Confirm email change error:', error);
     res.status(500).json({
       status: 'error',
       message: 'Internal server error'
@@ -229,6 +483,8 @@ router.put('/change-password', auth, [
 router.put('/deactivate', auth, async (req, res) => {
   try {
     await User.findByIdAndUpdate(req.user._id, { isActive: false });
+    await req.user.invalidateTokens();
+    await Session.revokeAll(req.user._id, 'deactivated');
 
     res.json({
       status: 'success',
@@ -247,7 +503,11 @@ router.put('/deactivate', auth, async (req, res) => {
  * @swagger
  * /api/user/delete:
  *   delete:
- *     summary: Delete user account permanently
+ *     summary: Request deletion of the user account
+ *     description: |
+ *       Signs out every device and schedules the account and its data for deletion after
+ *       ACCOUNT_DELETION_GRACE_DAYS (30 by default). Logging in before then cancels the
+ *       deletion. The user is emailed when the request is made and when the data is purged.
  *     tags: [User]
  *     security:
  *       - bearerAuth: []
@@ -257,18 +517,38 @@ router.put('/deactivate', auth, async (req, res) => {
  *         application/json:
  *           schema:
  *             type: object
- *             required:
- *               - password
  *             properties:
  *               password:
  *                 type: string
+ *               provider:
+ *                 type: string
+ *                 enum: [google, apple]
+ *                 description: For accounts without a password, a linked provider
+ *               idToken:
+ *                 type: string
+ *                 description: For accounts without a password, an ID token from that provider issued in the last 10 minutes
  *     responses:
- *       200:
- *         description: Account deleted successfully
+ *       202:
+ *         description: Deletion scheduled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     deletionScheduledFor:
+ *                       type: string
+ *                       format: date-time
+ *       400:
+ *         description: Password or ID token is incorrect
  */
-router.delete('/delete', auth, [
-  body('password').notEmpty().withMessage('Password is required to delete account')
-], async (req, res) => {
+router.delete('/delete', auth, reauthRules(), async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -279,29 +559,269 @@ router.delete('/delete', auth, [
       });
     }
 
-    const { password } = req.body;
-
     // Get user with password
     const user = await User.findById(req.user._id).select('+password');
     
-    // Verify password
-    const isPasswordValid = await user.comparePassword(password);
-    if (!isPasswordValid) {
+    // Verify password, or a linked provider for accounts without one
+    await reauthenticate(user, req.body);
+
+    // Sign out everywhere; the deletion job purges the account once the
+    // grace period is over
+    await user.scheduleDeletion();
+    await Session.revokeAll(user._id, 'account_deletion');
+
+    try {
+      await sendAccountDeletionScheduledEmail(user.email, user.firstName, user.deletionScheduledFor);
+    } catch (error) {
+      console.error('Failed to send deletion confirmation email:', error);
+    }
+
+    res.status(202).json({
+      status: 'success',
+      message: 'Your account will be deleted at the end of the grace period. Log in before then to cancel.',
+      data: {
+        deletionScheduledFor: user.deletionScheduledFor
+      }
+    });
+  } catch (error) {
+    if (error instanceof ReauthError) {
       return res.status(400).json({
         status: 'error',
-        message: 'Password is incorrect'
+        message: error.message
       });
     }
+    console.error('Delete account error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+});
 
-    // Delete user account
-    await User.findByIdAndDelete(req.user._id);
+/**
+ * @swagger
+ * /api/user/export:
+ *   post:
+ *     summary: Request an export of the user's data
+ *     description: |
+ *       Queues a copy of the profile, preferences, verification and login history, appointments,
+ *       reviews, counselor applications and other records stored about the user. Once it's built,
+ *       a download link valid for DATA_EXPORT_EXPIRES_HOURS (48 by default) is emailed to the user.
+ *       Requires a verified email address.
+ *     tags: [User]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               format:
+ *                 type: string
+ *                 enum: [json, zip]
+ *                 default: json
+ *     responses:
+ *       202:
+ *         description: Export queued
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     export:
+ *                       $ref: '#/components/schemas/DataExport'
+ *       403:
+ *         description: Email address not verified
+ *       409:
+ *         description: An export is already in progress
+ */
+router.post('/export', auth, requireVerified('email'), [
+  body('format')
+    .optional()
+    .isIn(['json', 'zip'])
+    .withMessage('Format must be json or zip')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const inProgress = await DataExport.exists({
+      userId: req.user._id,
+      status: { $in: ['pending', 'processing'] }
+    });
+    if (inProgress) {
+      return res.status(409).json({
+        status: 'error',
+        message: 'An export is already in progress. You will receive an email when it is ready.'
+      });
+    }
+
+    const dataExport = await DataExport.create({
+      userId: req.user._id,
+      format: req.body.format || 'json'
+    });
+
+    // Build it in the background; the data-export job retries anything
+    // left unfinished
+    processExport(dataExport._id).catch(error => {
+      console.error(`Data export ${dataExport._id} error:`, error);
+    });
+
+    res.status(202).json({
+      status: 'success',
+      message: 'Your export is being prepared. We will email you a download link when it is ready.',
+      data: {
+        export: dataExport
+      }
+    });
+  } catch (error) {
+    console.error('Request data export error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/user/export/{id}:
+ *   get:
+ *     summary: Get the status of a data export
+ *     tags: [User]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Export status
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     export:
+ *                       $ref: '#/components/schemas/DataExport'
+ *       404:
+ *         description: Export not found
+ */
+router.get('/export/:id', auth, async (req, res) => {
+  try {
+    const dataExport = await DataExport.findOne({ _id: req.params.id, userId: req.user._id });
+    if (!dataExport) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Export not found'
+      });
+    }
 
     res.json({
       status: 'success',
-      message: 'Account deleted successfully'
+      data: {
+        export: dataExport
+      }
     });
   } catch (error) {
-    console.error('Delete account error:', error);
+    console.error('Get data export error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid export ID'
+      });
+    }
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/user/export/{id}/download:
+ *   get:
+ *     summary: Download a finished data export
+ *     description: Uses the token from the emailed link instead of a bearer token, so the link opens in a browser.
+ *     tags: [User]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The export archive
+ *         content:
+ *           application/json: {}
+ *           application/zip: {}
+ *       404:
+ *         description: Link is invalid or has expired
+ */
+router.get('/export/:id/download', [
+  query('token').isString().notEmpty().withMessage('Download token is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const dataExport = await DataExport.findDownload(req.params.id, req.query.token);
+    if (!dataExport) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'This download link is invalid or has expired'
+      });
+    }
+
+    res.set({
+      'Content-Type': dataExport.contentType,
+      'Content-Disposition': `attachment; filename="${dataExport.fileName}"`,
+      'Cache-Control': 'no-store'
+    });
+    res.send(dataExport.data);
+  } catch (error) {
+    console.error('Download data export error:', error);
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        status: 'error',
+        message: 'This download link is invalid or has expired'
+      });
+    }
     res.status(500).json({
       status: 'error',
       message: 'Internal server error'
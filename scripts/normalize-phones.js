@@ -0,0 +1,67 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const { normalizePhone } = require('../utils/phone');
+require('dotenv').config();
+
+// Usage: node scripts/normalize-phones.js
+// Rewrites stored phone numbers to E.164. Numbers that can't be normalized
+// are reported and left alone. When several accounts verified the same
+// number, the oldest account keeps it verified and the others are reset,
+// so the unique index on verified numbers can be built.
+async function normalizePhones() {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI, {
+      useNewUrlParser: true,
+      useUnifiedTopology: true,
+    });
+    console.log('Connected to MongoDB');
+
+    const users = await User.find({ phone: { $nin: [null, ''] } })
+      .select('email phone isPhoneVerified createdAt')
+      .sort({ createdAt: 1 });
+    const verifiedPhones = new Set();
+    let updated = 0;
+
+    for (const user of users) {
+      const phone = normalizePhone(user.phone);
+      if (!phone) {
+        console.warn(`Could not normalize ${user.phone} for ${user.email}`);
+        continue;
+      }
+
+      const update = {};
+      if (phone !== user.phone) {
+        update.phone = phone;
+      }
+      if (user.isPhoneVerified) {
+        if (verifiedPhones.has(phone)) {
+          console.warn(`${phone} is verified on an older account; unverifying it for ${user.email}`);
+          update.isPhoneVerified = false;
+        } else {
+          verifiedPhones.add(phone);
+        }
+      }
+
+      if (Object.keys(update).length) {
+        await User.updateOne({ _id: user._id }, update);
+        updated += 1;
+      }
+    }
+
+    await User.createIndexes();
+    console.log(`Updated ${updated} of ${users.length} users with a phone number`);
+  } catch (error) {
+    console.error('Normalizing phone numbers failed:', error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+    console.log('Disconnected from MongoDB');
+  }
+}
+
+// Run if this file is executed directly
+if (require.main === module) {
+  normalizePhones();
+}
+
+module.exports = { normalizePhones };
@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const { ROLES } = require('../middleware/authorize');
+require('dotenv').config();
+
+// Usage: node scripts/set-role.js <email> <user|counselor|admin>
+async function setRole(email, role) {
+  if (!email || !ROLES.includes(role)) {
+    console.error(`Usage: node scripts/set-role.js <email> <${ROLES.join('|')}>`);
+    process.exitCode = 1;
+    return;
+  }
+
+  try {
+    await mongoose.connect(process.env.MONGODB_URI, {
+      useNewUrlParser: true,
+      useUnifiedTopology: true,
+    });
+    console.log('Connected to MongoDB');
+
+    const user = await User.findOneAndUpdate(
+      { email: email.toLowerCase() },
+      { role },
+      { new: true }
+    );
+
+    if (!user) {
+      console.error(`No user found with email ${email}`);
+      process.exitCode = 1;
+      return;
+    }
+
+    console.log(`${user.email} is now ${user.role}`);
+  } catch (error) {
+    console.error('Setting role failed:', error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+    console.log('Disconnected from MongoDB');
+  }
+}
+
+// Run if this file is executed directly
+if (require.main === module) {
+  setRole(process.argv[2], process.argv[3]);
+}
+
+module.exports = { setRole };
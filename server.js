@@ -13,6 +13,10 @@ const app = express();
 const authRoutes = require("./routes/auth");
 const userRoutes = require("./routes/user");
 const counselorRoutes = require("./routes/counselor");
+const appointmentRoutes = require("./routes/appointment");
+const adminRoutes = require("./routes/admin");
+const applicationRoutes = require("./routes/application");
+const { startJobs } = require("./jobs");
 
 // Middleware
 app.use(helmet());
@@ -83,13 +87,19 @@ mongoose
     useNewUrlParser: true,
     useUnifiedTopology: true,
   })
-  .then(() => console.log("MongoDB connected successfully"))
+  .then(() => {
+    console.log("MongoDB connected successfully");
+    startJobs();
+  })
   .catch((err) => console.error("MongoDB connection error:", err));
 
 // Routes
 app.use("/api/auth", authRoutes);
 app.use("/api/user", userRoutes);
 app.use("/api/counselor", counselorRoutes);
+app.use("/api/appointments", appointmentRoutes);
+app.use("/api/admin", adminRoutes);
+app.use("/api/applications", applicationRoutes);
 
 // Health check endpoint
 app.get("/api/health", (req, res) => {
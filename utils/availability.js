@@ -0,0 +1,89 @@
+// Helpers for turning a counselor's weekly availability into concrete slots.
+// Weekly time slots are bare HH:MM strings in the counselor's time zone.
+const { getZonedParts, zonedTimeToUtc } = require('./timezone');
+
+const DAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+
+// Convert an HH:MM string into minutes since midnight
+const parseTime = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+// Check whether two intervals overlap
+const overlaps = (startA, endA, startB, endB) => startA < endB && startB < endA;
+
+// Expand the weekly availability into the concrete windows between two dates
+const getAvailabilityWindows = (availability, from, to, timeZone = 'UTC') => {
+  const windows = [];
+  const days = availability?.days || [];
+  const timeSlots = (availability?.timeSlots || []).filter(slot => slot.start && slot.end);
+
+  // Walk the calendar days of the counselor's zone, padded by a day on each
+  // side so windows that straddle the range boundaries are not missed
+  const first = getZonedParts(from, timeZone);
+  const cursor = new Date(Date.UTC(first.year, first.month - 1, first.day - 1));
+  const last = new Date(to.getTime() + DAY);
+
+  for (; cursor < last; cursor.setUTCDate(cursor.getUTCDate() + 1)) {
+    if (!days.includes(DAYS[cursor.getUTCDay()])) continue;
+
+    const date = {
+      year: cursor.getUTCFullYear(),
+      month: cursor.getUTCMonth() + 1,
+      day: cursor.getUTCDate()
+    };
+
+    timeSlots.forEach(slot => {
+      const start = zonedTimeToUtc(date, slot.start, timeZone);
+      const end = zonedTimeToUtc(date, slot.end, timeZone);
+
+      if (start < to && end > from) {
+        windows.push({ start, end });
+      }
+    });
+  }
+
+  return windows.sort((a, b) => a.start - b.start);
+};
+
+// Generate bookable slots of the given duration, skipping busy intervals.
+// `busy` is a list of objects with start/end (or startTime/endTime) dates.
+const generateSlots = (availability, { from, to, duration, timeZone = 'UTC', busy = [] }) => {
+  const length = duration * MINUTE;
+  const intervals = busy.map(item => ({
+    start: item.startTime || item.start,
+    end: item.endTime || item.end
+  }));
+
+  const slots = [];
+  getAvailabilityWindows(availability, from, to, timeZone).forEach(window => {
+    for (let start = window.start.getTime(); start + length <= window.end.getTime(); start += length) {
+      const end = start + length;
+
+      if (start < from.getTime() || end > to.getTime()) continue;
+      if (intervals.some(interval => overlaps(start, end, interval.start.getTime(), interval.end.getTime()))) continue;
+
+      slots.push({ startTime: new Date(start), endTime: new Date(end) });
+    }
+  });
+
+  return slots.sort((a, b) => a.startTime - b.startTime);
+};
+
+// Check whether an interval fits entirely inside one availability window
+const isWithinAvailability = (availability, startTime, endTime, timeZone = 'UTC') => {
+  return getAvailabilityWindows(availability, startTime, endTime, timeZone)
+    .some(window => window.start <= startTime && endTime <= window.end);
+};
+
+module.exports = {
+  DAYS,
+  parseTime,
+  overlaps,
+  getAvailabilityWindows,
+  generateSlots,
+  isWithinAvailability
+};
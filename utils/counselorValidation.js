@@ -0,0 +1,159 @@
+// express-validator rules mirroring the Counselor schema, shared by every
+// route that writes counselor profiles.
+const { body } = require('express-validator');
+const Counselor = require('../models/Counselor');
+const { parseTime } = require('./availability');
+const { isValidTimeZone } = require('./timezone');
+
+// Fields that can be written through the API; rating, totalReviews and
+// totalSessions are derived and never accepted from clients
+const EDITABLE_FIELDS = [
+  'userId', 'name', 'specialization', 'experience', 'qualifications', 'bio', 'languages',
+  'timeZone', 'availability', 'pricing', 'isActive', 'profilePicture',
+  'contactInfo', 'certifications'
+];
+
+// Fields counselors may change on their own profile; credentials and
+// activation stay with admins
+const SELF_EDITABLE_FIELDS = [
+  'bio', 'languages', 'timeZone', 'availability', 'pricing', 'profilePicture', 'contactInfo'
+];
+
+// Build the rules for a subset of fields. With `partial` every field is
+// optional (PATCH); otherwise the schema's required fields must be present.
+const counselorRules = ({ partial = false, fields = EDITABLE_FIELDS } = {}) => {
+  const field = (path, required = false) => {
+    const chain = body(path);
+    return required && !partial ? chain.exists({ values: 'null' }).withMessage(`${path} is required`).bail() : chain.optional();
+  };
+
+  const rules = {
+    userId: [
+      field('userId').optional({ values: 'null' }).isMongoId().withMessage('Invalid user ID')
+    ],
+    name: [
+      field('name', true).isString().trim().notEmpty().withMessage('Counselor name is required')
+        .isLength({ max: 100 }).withMessage('Name cannot exceed 100 characters')
+    ],
+    specialization: [
+      field('specialization', true).isIn(Counselor.SPECIALIZATIONS).withMessage('Invalid specialization')
+    ],
+    experience: [
+      field('experience', true).isFloat({ min: 0, max: 50 }).withMessage('Experience must be between 0 and 50 years')
+    ],
+    qualifications: [
+      field('qualifications').isArray().withMessage('Qualifications must be an array'),
+      body('qualifications.*').isString().trim().notEmpty().withMessage('Qualifications must be non-empty strings')
+    ],
+    bio: [
+      field('bio').isString().isLength({ max: 1000 }).withMessage('Bio cannot exceed 1000 characters')
+    ],
+    languages: [
+      field('languages').isArray().withMessage('Languages must be an array'),
+      body('languages.*').isString().trim().notEmpty().withMessage('Languages must be non-empty strings')
+    ],
+    timeZone: [
+      field('timeZone').custom(isValidTimeZone).withMessage('Invalid time zone')
+    ],
+    availability: [
+      field('availability').isObject().withMessage('Availability must be an object'),
+      body('availability.days').optional().isArray().withMessage('Availability days must be an array'),
+      body('availability.days.*').isIn(Counselor.DAYS).withMessage('Invalid day'),
+      body('availability.timeSlots').optional().isArray().withMessage('Time slots must be an array'),
+      body('availability.timeSlots.*.start').matches(Counselor.TIME_PATTERN).withMessage('Invalid time format. Use HH:MM format'),
+      body('availability.timeSlots.*.end').matches(Counselor.TIME_PATTERN).withMessage('Invalid time format. Use HH:MM format')
+        .bail()
+        .custom((end, { req, path }) => {
+          const index = Number(path.match(/\[(\d+)\]/)[1]);
+          const start = req.body.availability.timeSlots[index].start;
+          return !Counselor.TIME_PATTERN.test(start) || parseTime(end) > parseTime(start);
+        }).withMessage('Time slot end must be after its start'),
+      body('availability.blockedTimes').optional().isArray().withMessage('Blocked times must be an array'),
+      body('availability.blockedTimes.*.start').isISO8601().withMessage('Blocked time start must be a valid date'),
+      body('availability.blockedTimes.*.end').isISO8601().withMessage('Blocked time end must be a valid date')
+        .bail()
+        .custom((end, { req, path }) => {
+          const index = Number(path.match(/\[(\d+)\]/)[1]);
+          return new Date(end) > new Date(req.body.availability.blockedTimes[index].start);
+        }).withMessage('Blocked time end must be after its start'),
+      body('availability.blockedTimes.*.reason').optional().isString().isLength({ max: 200 }).withMessage('Reason cannot exceed 200 characters')
+    ],
+    pricing: [
+      field('pricing').isObject().withMessage('Pricing must be an object'),
+      body('pricing.perSession').optional().isFloat({ min: 0 }).withMessage('Price cannot be negative'),
+      body('pricing.currency').optional().isISO4217().withMessage('Invalid currency code')
+    ],
+    isActive: [
+      field('isActive').isBoolean().withMessage('isActive must be boolean')
+    ],
+    profilePicture: [
+      field('profilePicture').optional({ values: 'null' }).isURL().withMessage('Profile picture must be a URL')
+    ],
+    contactInfo: [
+      field('contactInfo').isObject().withMessage('Contact info must be an object'),
+      body('contactInfo.email').optional().isEmail().withMessage('Please enter a valid email'),
+      body('contactInfo.phone').optional().isString().withMessage('Phone must be a string')
+    ],
+    certifications: [
+      field('certifications').isArray().withMessage('Certifications must be an array'),
+      body('certifications.*.name').isString().trim().notEmpty().withMessage('Certification name is required'),
+      body('certifications.*.issuer').optional().isString().withMessage('Certification issuer must be a string'),
+      body('certifications.*.isRequired').optional().isBoolean().withMessage('isRequired must be boolean'),
+      body('certifications.*.dateObtained').optional().isISO8601().withMessage('Date obtained must be a valid date'),
+      body('certifications.*.expiryDate').optional().isISO8601().withMessage('Expiry date must be a valid date')
+        .bail()
+        .custom((expiryDate, { req, path }) => {
+          const index = Number(path.match(/\[(\d+)\]/)[1]);
+          const { dateObtained } = req.body.certifications[index];
+          return !dateObtained || new Date(expiryDate) > new Date(dateObtained);
+        }).withMessage('Expiry date must be after the date obtained')
+    ]
+  };
+
+  return fields.flatMap(name => rules[name]);
+};
+
+// Fields a replace (PUT) leaves alone unless the body sets them: activation,
+// and the linked user account, which is only unlinked by an explicit null
+const KEPT_ON_REPLACE = ['isActive', 'userId'];
+
+// Apply validated fields to a counselor document. With `replace`, editable
+// fields missing from the body are reset to their schema defaults (PUT),
+// except those in KEPT_ON_REPLACE; otherwise nested objects are merged so
+// PATCH can update e.g. only pricing.perSession.
+const applyCounselorUpdates = (counselor, updates, { replace = false, fields = EDITABLE_FIELDS } = {}) => {
+  const nested = ['availability', 'pricing', 'contactInfo'];
+  const defaults = replace ? new counselor.constructor().toObject({ virtuals: false }) : null;
+
+  fields.forEach(field => {
+    if (!(field in updates)) {
+      if (replace && !KEPT_ON_REPLACE.includes(field)) counselor.set(field, defaults[field]);
+      return;
+    }
+
+    const value = updates[field];
+    if (!replace && nested.includes(field) && value && typeof value === 'object') {
+      Object.keys(value).forEach(key => counselor.set(`${field}.${key}`, value[key]));
+    } else {
+      counselor.set(field, value);
+    }
+  });
+
+  return counselor;
+};
+
+// Format a mongoose validation error like express-validator's errors array
+const formatValidationError = (error) => Object.values(error.errors).map(err => ({
+  type: 'field',
+  path: err.path,
+  msg: err.message,
+  location: 'body'
+}));
+
+module.exports = {
+  EDITABLE_FIELDS,
+  SELF_EDITABLE_FIELDS,
+  counselorRules,
+  applyCounselorUpdates,
+  formatValidationError
+};
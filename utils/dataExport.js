@@ -0,0 +1,196 @@
+// Builds a user's personal data export and emails them a link to download
+// it. Exports are requested through POST /api/user/export and processed in
+// the background; the data-export job picks up any the server didn't finish.
+const User = require('../models/User');
+const OTP = require('../models/OTP');
+const Session = require('../models/Session');
+const Appointment = require('../models/Appointment');
+const Review = require('../models/Review');
+const Counselor = require('../models/Counselor');
+const CounselorApplication = require('../models/CounselorApplication');
+const AuditLog = require('../models/AuditLog');
+const DataExport = require('../models/DataExport');
+const { createZip } = require('./zip');
+const { sendDataExportReadyEmail } = require('./notifications');
+
+// An export still processing after this long is assumed abandoned, e.g. by
+// a restart, and can be claimed again
+const STALE_PROCESSING_MS = 15 * 60 * 1000;
+
+// Archives are stored on the export document, which MongoDB caps at 16MB
+const MAX_ARCHIVE_BYTES = 15 * 1024 * 1024;
+
+// Base URL of this API for download links, from API_URL
+const apiUrl = () => (process.env.API_URL || `http://localhost:${process.env.PORT || 3000}`).replace(/\/+$/, '');
+
+// Collect everything stored about the user, one key per archive section.
+// Secrets (password, 2FA and code hashes) are left out.
+const collectUserData = async (userId) => {
+  const user = await User.findById(userId).select('-tokenVersion').lean();
+  if (!user) {
+    return null;
+  }
+
+  const [otps, sessions, appointments, reviews, reportedReviews, applications, counselorProfile, auditLog] = await Promise.all([
+    OTP.find({ userId }).select('-codeHash').sort({ createdAt: -1 }).lean(),
+    Session.find({ userId })
+      .select('device ip userAgent createdAt lastUsedAt expiresAt revokedAt revokedReason')
+      .sort({ createdAt: -1 })
+      .lean(),
+    Appointment.find({ userId }).sort({ startTime: -1 }).lean(),
+    Review.find({ userId }).select('-moderation.moderatedBy').sort({ createdAt: -1 }).lean(),
+    Review.find({ 'reports.userId': userId }).select('counselorId +reports').lean(),
+    CounselorApplication.find({ userId }).select('-reviewedBy').sort({ createdAt: -1 }).lean(),
+    Counselor.findOne({ userId }).lean(),
+    AuditLog.find({ actor: userId }).sort({ createdAt: -1 }).lean()
+  ]);
+
+  // Only the user's own reports on other people's reviews
+  const reports = reportedReviews.flatMap(review => review.reports
+    .filter(report => String(report.userId) === String(userId))
+    .map(report => ({
+      reviewId: review._id,
+      counselorId: review.counselorId,
+      reason: report.reason,
+      createdAt: report.createdAt
+    })));
+
+  const { preferences, ...profile } = user;
+
+  return {
+    profile,
+    preferences: preferences || {},
+    verificationHistory: {
+      isEmailVerified: user.isEmailVerified,
+      isPhoneVerified: user.isPhoneVerified,
+      codes: otps
+    },
+    loginHistory: {
+      lastLogin: user.lastLogin,
+      sessions
+    },
+    appointments,
+    reviews,
+    reviewReports: reports,
+    counselorApplications: applications,
+    counselorProfile,
+    auditLog
+  };
+};
+
+// Serialize the collected data into the requested archive format
+const buildArchive = (sections, format, generatedAt) => {
+  const stamp = generatedAt.toISOString().slice(0, 10);
+  const meta = { generatedAt, format, sections: Object.keys(sections) };
+
+  if (format === 'zip') {
+    const files = [
+      { name: 'export.json', data: JSON.stringify(meta, null, 2) },
+      ...Object.entries(sections).map(([name, data]) => ({
+        name: `${name}.json`,
+        data: JSON.stringify(data, null, 2)
+      }))
+    ];
+    return {
+      fileName: `data-export-${stamp}.zip`,
+      contentType: 'application/zip',
+      data: createZip(files, generatedAt)
+    };
+  }
+
+  return {
+    fileName: `data-export-${stamp}.json`,
+    contentType: 'application/json',
+    data: Buffer.from(JSON.stringify({ ...meta, ...sections }, null, 2), 'utf8')
+  };
+};
+
+// Claim an export so only one worker builds it. Returns null if it's
+// already done or another worker has it.
+const claimExport = (exportId) => {
+  return DataExport.findOneAndUpdate(
+    {
+      _id: exportId,
+      $or: [
+        { status: 'pending' },
+        { status: 'processing', startedAt: { $lt: new Date(Date.now() - STALE_PROCESSING_MS) } }
+      ]
+    },
+    { status: 'processing', startedAt: new Date() },
+    { new: true }
+  );
+};
+
+// Build an export and email its download link. Returns the updated export,
+// or null if it was already claimed.
+const processExport = async (exportId) => {
+  const dataExport = await claimExport(exportId);
+  if (!dataExport) {
+    return null;
+  }
+
+  let user;
+  let token;
+  try {
+    user = await User.findById(dataExport.userId).select('email firstName');
+    const sections = await collectUserData(dataExport.userId);
+    if (!user || !sections) {
+      throw new Error('User not found');
+    }
+
+    const archive = buildArchive(sections, dataExport.format, new Date());
+    if (archive.data.length > MAX_ARCHIVE_BYTES) {
+      throw new Error('Export is too large to store');
+    }
+
+    token = await dataExport.complete(archive);
+  } catch (error) {
+    console.error(`Data export ${dataExport._id} failed:`, error);
+    await DataExport.updateOne(
+      { _id: dataExport._id },
+      { status: 'failed', error: error.message, completedAt: new Date() }
+    );
+    dataExport.status = 'failed';
+    dataExport.error = error.message;
+    return dataExport;
+  }
+
+  try {
+    const downloadUrl = `${apiUrl()}/api/user/export/${dataExport._id}/download?token=${token}`;
+    await sendDataExportReadyEmail(user.email, user.firstName, downloadUrl, dataExport.expiresAt);
+  } catch (error) {
+    console.error(`Failed to send data export email for ${dataExport._id}:`, error);
+  }
+
+  return dataExport;
+};
+
+// Process every export waiting in the queue, including abandoned ones
+const processPendingExports = async () => {
+  const exports = await DataExport.find({
+    $or: [
+      { status: 'pending' },
+      { status: 'processing', startedAt: { $lt: new Date(Date.now() - STALE_PROCESSING_MS) } }
+    ]
+  }).select('_id').sort({ createdAt: 1 });
+
+  let completed = 0;
+  let failed = 0;
+  for (const { _id } of exports) {
+    const result = await processExport(_id);
+    if (result && result.status === 'completed') {
+      completed += 1;
+    } else if (result) {
+      failed += 1;
+    }
+  }
+
+  return { exportsCompleted: completed, exportsFailed: failed };
+};
+
+module.exports = {
+  collectUserData,
+  buildArchive,
+  processExport,
+  processPendingExports
+};
@@ -0,0 +1,16 @@
+// Emails are stored as express-validator's normalizeEmail() leaves them at
+// registration (lowercased, Gmail dots and +tags removed). Anything keyed by
+// an address outside a validation chain goes through the same sanitizer, so
+// every spelling of an address maps to the same account.
+const { body } = require('express-validator');
+
+// Returns the normalized address, or null if it isn't a valid email
+const normalizeEmail = async (email) => {
+  const holder = { body: { email } };
+  const result = await body('email').isEmail().normalizeEmail().run(holder);
+  return result.isEmpty() ? holder.body.email : null;
+};
+
+module.exports = {
+  normalizeEmail
+};
@@ -74,13 +74,15 @@ const sendOTPEmail = async (to, otp, purpose = 'verification') => {
   const subjects = {
     verification: 'Email Verification Code',
     password_reset: 'Password Reset Code',
-    login: 'Login Verification Code'
+    login: 'Login Verification Code',
+    email_change: 'Confirm Your New Email Address'
   };
 
   const messages = {
     verification: `Your email verification code is: ${otp}`,
     password_reset: `Your password reset code is: ${otp}`,
-    login: `Your login verification code is: ${otp}`
+    login: `Your login verification code is: ${otp}`,
+    email_change: `Your code to confirm this as your new email address is: ${otp}`
   };
 
   const htmlTemplate = `
@@ -159,9 +161,225 @@ const sendWelcomeEmail = async (to, firstName) => {
   return await sendEmail(to, subject, text, html);
 };
 
+// Send counselor application status email
+const sendApplicationStatusEmail = async (to, firstName, status, reason = null) => {
+  const subjects = {
+    pending: 'We received your counselor application',
+    approved: 'Your counselor application was approved',
+    rejected: 'Update on your counselor application'
+  };
+
+  const messages = {
+    pending: `Hello ${firstName}, thank you for applying to join Counselor App. Our team will review your application and get back to you.`,
+    approved: `Hello ${firstName}, congratulations! Your application was approved and your counselor profile is now live. You can manage it from the app.`,
+    rejected: `Hello ${firstName}, thank you for your interest in Counselor App. Unfortunately we could not approve your application at this time.`
+  };
+
+  const html = `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
+      <div style="text-align: center; margin-bottom: 30px;">
+        <h1 style="color: #4A90E2;">Counselor App</h1>
+      </div>
+      
+      <div style="background-color: #f8f9fa; padding: 20px; border-radius: 8px;">
+        <h2 style="color: #333; margin-top: 0;">${subjects[status]}</h2>
+        <p style="font-size: 16px; color: #666;">
+          ${messages[status]}
+        </p>
+        ${reason ? `<p style="font-size: 16px; color: #666;"><strong>Reason:</strong> ${reason}</p>` : ''}
+      </div>
+      
+      <div style="text-align: center; padding-top: 20px; border-top: 1px solid #eee;">
+        <p style="font-size: 12px; color: #999;">
+          This is an automated message. Please do not reply to this email.
+        </p>
+      </div>
+    </div>
+  `;
+
+  const text = reason ? `${messages[status]} Reason: ${reason}` : messages[status];
+  return await sendEmail(to, subjects[status], text, html);
+};
+
+// Send account locked email
+const sendAccountLockedEmail = async (to, firstName, lockedUntil) => {
+  const subject = 'Your account has been temporarily locked';
+  const text = `Hello ${firstName}, we locked your Counselor App account after several failed sign-in attempts. You can try again after ${lockedUntil.toUTCString()}, or reset your password to unlock it now.`;
+
+  const html = `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
+      <div style="text-align: center; margin-bottom: 30px;">
+        <h1 style="color: #4A90E2;">Counselor App</h1>
+      </div>
+      
+      <div style="background-color: #f8f9fa; padding: 20px; border-radius: 8px;">
+        <h2 style="color: #333; margin-top: 0;">${subject}</h2>
+        <p style="font-size: 16px; color: #666;">
+          Hello ${firstName}, we locked your account after several failed sign-in attempts.
+          You can try again after <strong>${lockedUntil.toUTCString()}</strong>, or reset your password to unlock it now.
+        </p>
+        <p style="font-size: 14px; color: #999;">
+          If this wasn't you, someone may be trying to guess your password. We recommend changing it.
+        </p>
+      </div>
+      
+      <div style="text-align: center; padding-top: 20px; border-top: 1px solid #eee;">
+        <p style="font-size: 12px; color: #999;">
+          This is an automated message. Please do not reply to this email.
+        </p>
+      </div>
+    </div>
+  `;
+
+  return await sendEmail(to, subject, text, html);
+};
+
+// Tell the old address that the account's email was changed
+const sendEmailChangedEmail = async (to, firstName, newEmail) => {
+  const subject = 'Your email address was changed';
+  const text = `Hello ${firstName}, the email address on your Counselor App account was changed to ${newEmail}. If you didn't make this change, please contact support immediately.`;
+
+  const html = `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
+      <div style="text-align: center; margin-bottom: 30px;">
+        <h1 style="color: #4A90E2;">Counselor App</h1>
+      </div>
+      
+      <div style="background-color: #f8f9fa; padding: 20px; border-radius: 8px;">
+        <h2 style="color: #333; margin-top: 0;">${subject}</h2>
+        <p style="font-size: 16px; color: #666;">
+          Hello ${firstName}, the email address on your account was changed to <strong>${newEmail}</strong>.
+          You will no longer receive account emails at this address.
+        </p>
+        <p style="font-size: 14px; color: #999;">
+          If you didn't make this change, please contact support immediately.
+        </p>
+      </div>
+      
+      <div style="text-align: center; padding-top: 20px; border-top: 1px solid #eee;">
+        <p style="font-size: 12px; color: #999;">
+          This is an automated message. Please do not reply to this email.
+        </p>
+      </div>
+    </div>
+  `;
+
+  return await sendEmail(to, subject, text, html);
+};
+
+// Confirm a deletion request and explain how to cancel it
+const sendAccountDeletionScheduledEmail = async (to, firstName, scheduledFor) => {
+  const subject = 'Your account is scheduled for deletion';
+  const text = `Hello ${firstName}, your Counselor App account and its data will be permanently deleted on ${scheduledFor.toUTCString()}. To keep your account, simply log in before then.`;
+
+  const html = `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
+      <div style="text-align: center; margin-bottom: 30px;">
+        <h1 style="color: #4A90E2;">Counselor App</h1>
+      </div>
+      
+      <div style="background-color: #f8f9fa; padding: 20px; border-radius: 8px;">
+        <h2 style="color: #333; margin-top: 0;">${subject}</h2>
+        <p style="font-size: 16px; color: #666;">
+          Hello ${firstName}, your account and its data will be permanently deleted on
+          <strong>${scheduledFor.toUTCString()}</strong>. To keep your account, simply log in before then.
+        </p>
+        <p style="font-size: 14px; color: #999;">
+          If you didn't request this, log in now and change your password.
+        </p>
+      </div>
+      
+      <div style="text-align: center; padding-top: 20px; border-top: 1px solid #eee;">
+        <p style="font-size: 12px; color: #999;">
+          This is an automated message. Please do not reply to this email.
+        </p>
+      </div>
+    </div>
+  `;
+
+  return await sendEmail(to, subject, text, html);
+};
+
+// Confirm that the account and its data have been purged
+const sendAccountDeletedEmail = async (to, firstName) => {
+  const subject = 'Your account has been deleted';
+  const text = `Hello ${firstName}, your Counselor App account and its personal data have now been permanently deleted. Thank you for using Counselor App.`;
+
+  const html = `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
+      <div style="text-align: center; margin-bottom: 30px;">
+        <h1 style="color: #4A90E2;">Counselor App</h1>
+      </div>
+      
+      <div style="background-color: #f8f9fa; padding: 20px; border-radius: 8px;">
+        <h2 style="color: #333; margin-top: 0;">${subject}</h2>
+        <p style="font-size: 16px; color: #666;">
+          Hello ${firstName}, your account and its personal data have now been permanently deleted.
+          Thank you for using Counselor App.
+        </p>
+        <p style="font-size: 14px; color: #999;">
+          You're welcome to register again at any time.
+        </p>
+      </div>
+      
+      <div style="text-align: center; padding-top: 20px; border-top: 1px solid #eee;">
+        <p style="font-size: 12px; color: #999;">
+          This is an automated message. Please do not reply to this email.
+        </p>
+      </div>
+    </div>
+  `;
+
+  return await sendEmail(to, subject, text, html);
+};
+
+// Send the link to download a finished data export
+const sendDataExportReadyEmail = async (to, firstName, downloadUrl, expiresAt) => {
+  const subject = 'Your data export is ready';
+  const text = `Hello ${firstName}, the copy of your Counselor App data you requested is ready. Download it here: ${downloadUrl}\n\nThe link expires on ${expiresAt.toUTCString()}.`;
+
+  const html = `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
+      <div style="text-align: center; margin-bottom: 30px;">
+        <h1 style="color: #4A90E2;">Counselor App</h1>
+      </div>
+      
+      <div style="background-color: #f8f9fa; padding: 20px; border-radius: 8px;">
+        <h2 style="color: #333; margin-top: 0;">${subject}</h2>
+        <p style="font-size: 16px; color: #666;">
+          Hello ${firstName}, the copy of your data you requested is ready to download.
+        </p>
+        <div style="text-align: center; margin: 30px 0;">
+          <a href="${downloadUrl}" style="background-color: #4A90E2; color: white; padding: 12px 24px; text-decoration: none; border-radius: 4px; font-size: 16px;">
+            Download your data
+          </a>
+        </div>
+        <p style="font-size: 14px; color: #999;">
+          The link expires on <strong>${expiresAt.toUTCString()}</strong>. Anyone with it can download
+          your data, so don't share it. If you didn't request this export, change your password.
+        </p>
+      </div>
+      
+      <div style="text-align: center; padding-top: 20px; border-top: 1px solid #eee;">
+        <p style="font-size: 12px; color: #999;">
+          This is an automated message. Please do not reply to this email.
+        </p>
+      </div>
+    </div>
+  `;
+
+  return await sendEmail(to, subject, text, html);
+};
+
 module.exports = {
   sendEmail,
   sendSMS,
   sendOTPEmail,
-  sendWelcomeEmail
+  sendWelcomeEmail,
+  sendApplicationStatusEmail,
+  sendAccountLockedEmail,
+  sendEmailChangedEmail,
+  sendAccountDeletionScheduledEmail,
+  sendAccountDeletedEmail,
+  sendDataExportReadyEmail
 };
\ No newline at end of file
@@ -0,0 +1,130 @@
+// OpenID Connect ID token verification for social sign-in. A provider is
+// enabled by listing the app's client IDs in <PROVIDER>_CLIENT_IDS (comma
+// separated); <PROVIDER>_ISSUERS and <PROVIDER>_JWKS_URI override the
+// defaults below, e.g. GOOGLE_CLIENT_IDS=ios-id,android-id.
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+const PROVIDER_DEFAULTS = {
+  google: {
+    issuers: ['https://accounts.google.com', 'accounts.google.com'],
+    jwksUri: 'https://www.googleapis.com/oauth2/v3/certs'
+  },
+  apple: {
+    issuers: ['https://appleid.apple.com'],
+    jwksUri: 'https://appleid.apple.com/auth/keys'
+  }
+};
+
+const PROVIDERS = Object.keys(PROVIDER_DEFAULTS);
+
+// Signing keys are cached, and refetched early (at most once a minute) when
+// a token names a key we don't have, since providers rotate their keys
+const JWKS_CACHE_MS = 60 * 60 * 1000;
+const JWKS_REFETCH_MS = 60 * 1000;
+
+class OIDCError extends Error {
+  constructor(message, status = 401) {
+    super(message);
+    this.name = 'OIDCError';
+    this.status = status;
+  }
+}
+
+const splitList = (value) => {
+  const items = (value || '').split(',').map(item => item.trim()).filter(Boolean);
+  return items.length ? items : null;
+};
+
+// Configuration for a provider, or null if it isn't enabled
+const getProviderConfig = (provider) => {
+  const defaults = PROVIDER_DEFAULTS[provider];
+  const prefix = provider.toUpperCase();
+  const clientIds = defaults && splitList(process.env[`${prefix}_CLIENT_IDS`]);
+  if (!clientIds) {
+    return null;
+  }
+
+  return {
+    clientIds,
+    issuers: splitList(process.env[`${prefix}_ISSUERS`]) || defaults.issuers,
+    jwksUri: process.env[`${prefix}_JWKS_URI`] || defaults.jwksUri
+  };
+};
+
+const jwksCache = new Map();
+
+const fetchKeys = async (jwksUri) => {
+  const response = await fetch(jwksUri);
+  if (!response.ok) {
+    throw new Error(`JWKS request to ${jwksUri} failed with status ${response.status}`);
+  }
+
+  const { keys = [] } = await response.json();
+  const entry = { fetchedAt: Date.now(), keys: new Map() };
+  for (const jwk of keys) {
+    if (jwk.kid && jwk.kty === 'RSA') {
+      entry.keys.set(jwk.kid, crypto.createPublicKey({ key: jwk, format: 'jwk' }));
+    }
+  }
+  jwksCache.set(jwksUri, entry);
+  return entry;
+};
+
+const getSigningKey = async (jwksUri, kid) => {
+  let entry = jwksCache.get(jwksUri);
+  const age = entry ? Date.now() - entry.fetchedAt : Infinity;
+  if (age > JWKS_CACHE_MS || (!entry.keys.has(kid) && age > JWKS_REFETCH_MS)) {
+    entry = await fetchKeys(jwksUri);
+  }
+  return entry.keys.get(kid) || null;
+};
+
+// Verify an ID token issued to one of our client IDs and return the
+// identity it asserts. When the client sent a nonce with the sign-in
+// request, the token must carry the same one. `maxAge` (e.g. '10m') also
+// refuses tokens issued longer ago than that.
+const verifyIdToken = async (provider, idToken, { nonce, maxAge } = {}) => {
+  const config = getProviderConfig(provider);
+  if (!config) {
+    throw new OIDCError(`Sign in with ${provider} is not enabled`, 404);
+  }
+
+  const decoded = jwt.decode(idToken, { complete: true });
+  const key = decoded && decoded.header.kid && await getSigningKey(config.jwksUri, decoded.header.kid);
+  if (!key) {
+    throw new OIDCError('Invalid ID token');
+  }
+
+  let claims;
+  try {
+    claims = jwt.verify(idToken, key, {
+      algorithms: ['RS256'],
+      audience: config.clientIds,
+      issuer: config.issuers,
+      maxAge
+    });
+  } catch (error) {
+    throw new OIDCError(error.name === 'TokenExpiredError' ? 'ID token expired' : 'Invalid ID token');
+  }
+
+  if (nonce !== undefined && claims.nonce !== nonce) {
+    throw new OIDCError('Invalid ID token');
+  }
+
+  return {
+    provider,
+    subject: claims.sub,
+    email: claims.email ? claims.email.toLowerCase() : null,
+    // Apple sends the flag as a string
+    emailVerified: claims.email_verified === true || claims.email_verified === 'true',
+    firstName: claims.given_name,
+    lastName: claims.family_name
+  };
+};
+
+module.exports = {
+  PROVIDERS,
+  OIDCError,
+  verifyIdToken
+};
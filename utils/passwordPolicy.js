@@ -0,0 +1,120 @@
+// Password rules shared by registration, password reset and change-password.
+// Each rule that fails produces its own entry in the validation `errors`
+// array. Configured with PASSWORD_MIN_LENGTH, PASSWORD_MAX_LENGTH (at most
+// 72, bcrypt's limit) and PASSWORD_REQUIRED_CLASSES (any of lowercase,
+// uppercase, digit, symbol); PASSWORD_BLOCKLIST_FILE replaces the bundled list of common passwords.
+const fs = require('fs');
+const path = require('path');
+const { body } = require('express-validator');
+
+const CHARACTER_CLASSES = {
+  lowercase: { pattern: /[a-z]/, message: 'Password must contain a lowercase letter' },
+  uppercase: { pattern: /[A-Z]/, message: 'Password must contain an uppercase letter' },
+  digit: { pattern: /\d/, message: 'Password must contain a number' },
+  symbol: { pattern: /[^A-Za-z0-9]/, message: 'Password must contain a symbol' }
+};
+
+// Email local parts and names shorter than this are too likely to appear
+// by chance to be refused
+const MIN_PERSONAL_INFO_LENGTH = 3;
+
+// bcrypt ignores everything past the first 72 bytes of a password, so a
+// longer maximum would let passwords that differ only after that match
+const BCRYPT_MAX_BYTES = 72;
+
+const DEFAULT_BLOCKLIST_FILE = path.join(__dirname, '..', 'data', 'common-passwords.txt');
+
+const getPolicy = () => ({
+  minLength: parseInt(process.env.PASSWORD_MIN_LENGTH) || 8,
+  maxLength: Math.min(parseInt(process.env.PASSWORD_MAX_LENGTH) || BCRYPT_MAX_BYTES, BCRYPT_MAX_BYTES),
+  requiredClasses: (process.env.PASSWORD_REQUIRED_CLASSES ?? 'lowercase,uppercase,digit')
+    .split(',')
+    .map(name => name.trim())
+    .filter(name => CHARACTER_CLASSES[name])
+});
+
+let blocklist = null;
+
+// Loaded on first use, one password per line, compared case-insensitively
+const getBlocklist = () => {
+  if (!blocklist) {
+    const file = process.env.PASSWORD_BLOCKLIST_FILE || DEFAULT_BLOCKLIST_FILE;
+    blocklist = new Set(
+      fs.readFileSync(file, 'utf8')
+        .split(/\r?\n/)
+        .map(line => line.trim().toLowerCase())
+        .filter(Boolean)
+    );
+  }
+  return blocklist;
+};
+
+// Parts of the user's email and name that the password must not contain
+const getPersonalInfo = ({ email, firstName, lastName } = {}) => {
+  return [email && email.split('@')[0], firstName, lastName]
+    .filter(value => typeof value === 'string')
+    .map(value => value.trim().toLowerCase())
+    .filter(value => value.length >= MIN_PERSONAL_INFO_LENGTH);
+};
+
+// Rules in the order their failures are reported. `check` returns a
+// failure message, or null when the password passes.
+const RULES = [
+  {
+    name: 'minLength',
+    check: (password, policy) => password.length < policy.minLength
+      ? `Password must be at least ${policy.minLength} characters long`
+      : null
+  },
+  {
+    name: 'maxLength',
+    // Measured in UTF-8 bytes, as bcrypt sees it
+    check: (password, policy) => Buffer.byteLength(password, 'utf8') > policy.maxLength
+      ? `Password cannot exceed ${policy.maxLength} characters, or fewer with accented letters or emoji`
+      : null
+  },
+  ...Object.entries(CHARACTER_CLASSES).map(([name, { pattern, message }]) => ({
+    name,
+    check: (password, policy) => policy.requiredClasses.includes(name) && !pattern.test(password)
+      ? message
+      : null
+  })),
+  {
+    name: 'personalInfo',
+    check: (password, policy, user) => {
+      const lower = password.toLowerCase();
+      return getPersonalInfo(user || {}).some(part => lower.includes(part))
+        ? 'Password must not contain your email address or name'
+        : null;
+    }
+  },
+  {
+    name: 'common',
+    check: (password) => getBlocklist().has(password.toLowerCase())
+      ? 'This password is too common. Please choose a less predictable one.'
+      : null
+  }
+];
+
+// express-validator chain for a password field, one validator per rule so
+// each failure is reported separately. `getUser(req)` returns the user (or
+// registration data) the password is for, and may be async.
+const passwordRules = (field, getUser = req => req.body) => {
+  let chain = body(field).isString().withMessage('Password is required').bail();
+  for (const rule of RULES) {
+    chain = chain.custom(async (password, { req }) => {
+      const user = rule.name === 'personalInfo' ? await getUser(req) : null;
+      const message = rule.check(password, getPolicy(), user);
+      if (message) {
+        throw new Error(message);
+      }
+      return true;
+    });
+  }
+  return chain;
+};
+
+module.exports = {
+  getPolicy,
+  passwordRules
+};
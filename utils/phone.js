@@ -0,0 +1,45 @@
+// Phone numbers are stored in E.164 form (+<country code><number>). Numbers
+// given without a country code get DEFAULT_PHONE_COUNTRY_CODE, after
+// dropping a national trunk prefix 0; without that setting they're refused.
+const { body } = require('express-validator');
+
+const E164_PATTERN = /^\+[1-9]\d{7,14}$/;
+
+// Returns the E.164 form of a number, or null if it isn't valid
+const normalizePhone = (value) => {
+  if (typeof value !== 'string') {
+    return null;
+  }
+
+  let number = value.trim().replace(/[\s().-]/g, '');
+  if (number.startsWith('00')) {
+    number = `+${number.slice(2)}`;
+  }
+
+  if (!number.startsWith('+')) {
+    const countryCode = (process.env.DEFAULT_PHONE_COUNTRY_CODE || '').replace(/\D/g, '');
+    if (!countryCode) {
+      return null;
+    }
+    number = `+${countryCode}${number.replace(/^0/, '')}`;
+  }
+
+  return E164_PATTERN.test(number) ? number : null;
+};
+
+// express-validator chain that checks a phone field and rewrites it to E.164
+const phoneRules = (field, { optional = false } = {}) => {
+  const chain = body(field);
+  if (optional) {
+    chain.optional();
+  }
+  return chain
+    .custom(value => normalizePhone(value) !== null)
+    .withMessage('Please provide a valid phone number, including the country code')
+    .customSanitizer(normalizePhone);
+};
+
+module.exports = {
+  normalizePhone,
+  phoneRules
+};
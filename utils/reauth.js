@@ -0,0 +1,68 @@
+// Sensitive account changes ask the user to prove who they are again: with
+// their password, or for accounts that only sign in with a social provider,
+// with an ID token the app has just obtained from a linked provider.
+const { body } = require('express-validator');
+const { PROVIDERS, OIDCError, verifyIdToken } = require('./oidc');
+
+// ID tokens issued longer ago than this don't count as signing in again
+const ID_TOKEN_MAX_AGE = '10m';
+
+class ReauthError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ReauthError';
+  }
+}
+
+// express-validator rules for `passwordField`, or `providerField` and
+// `idTokenField`. Routes whose body already has a provider and ID token for
+// another purpose rename the reauthentication ones.
+const reauthRules = (passwordField = 'password', { providerField = 'provider', idTokenField = 'idToken' } = {}) => [
+  body(passwordField).optional().isString().withMessage('Password must be a string'),
+  body(providerField)
+    .optional()
+    .isIn(PROVIDERS)
+    .withMessage(`Provider must be one of: ${PROVIDERS.join(', ')}`),
+  body(idTokenField).optional().isString().withMessage('ID token must be a string'),
+  body()
+    .custom(fields => Boolean(fields[passwordField]) || Boolean(fields[providerField] && fields[idTokenField]))
+    .withMessage('Password is required, or a provider and ID token for accounts without a password')
+];
+
+// Check the credentials from reauthRules against a user selected with
+// +password. Throws ReauthError if they don't prove it's the user.
+const reauthenticate = async (user, { password, provider, idToken }) => {
+  if (user.password) {
+    if (!password || !(await user.comparePassword(password))) {
+      throw new ReauthError('Password is incorrect');
+    }
+    return;
+  }
+
+  if (!provider || !idToken) {
+    throw new ReauthError('Your account has no password. Sign in again with a linked provider to confirm.');
+  }
+
+  let identity;
+  try {
+    identity = await verifyIdToken(provider, idToken, { maxAge: ID_TOKEN_MAX_AGE });
+  } catch (error) {
+    if (error instanceof OIDCError) {
+      throw new ReauthError(error.message);
+    }
+    throw error;
+  }
+
+  const linked = (user.authProviders || []).some(link => {
+    return link.provider === provider && link.subject === identity.subject;
+  });
+  if (!linked) {
+    throw new ReauthError(`This ${provider} account is not linked to your account`);
+  }
+};
+
+module.exports = {
+  ReauthError,
+  reauthRules,
+  reauthenticate
+};
@@ -0,0 +1,101 @@
+// IANA time zone helpers built on Intl, so no extra dependency is needed.
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+const formatters = new Map();
+
+const getFormatter = (timeZone) => {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }));
+  }
+  return formatters.get(timeZone);
+};
+
+// Check whether a string is a time zone known to the runtime
+const isValidTimeZone = (timeZone) => {
+  if (typeof timeZone !== 'string' || !timeZone) return false;
+
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Get the wall-clock parts of an instant in the given zone
+const getZonedParts = (date, timeZone) => {
+  const parts = {};
+  getFormatter(timeZone).formatToParts(date).forEach(({ type, value }) => {
+    if (type !== 'literal') parts[type] = parseInt(value, 10);
+  });
+
+  return {
+    year: parts.year,
+    month: parts.month,
+    day: parts.day,
+    hour: parts.hour,
+    minute: parts.minute,
+    second: parts.second,
+    weekday: WEEKDAYS[new Date(Date.UTC(parts.year, parts.month - 1, parts.day)).getUTCDay()]
+  };
+};
+
+// Offset of the zone from UTC at the given instant, in minutes
+const getOffset = (date, timeZone) => {
+  const time = Math.floor(date.getTime() / 1000) * 1000;
+  const parts = getZonedParts(new Date(time), timeZone);
+  const asUTC = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return Math.round((asUTC - time) / MINUTE);
+};
+
+// Convert a wall-clock date and HH:MM time in a zone into an instant.
+// Times skipped by a DST change move forward by the size of the gap, and
+// times that occur twice resolve to the first occurrence.
+const zonedTimeToUtc = ({ year, month, day }, time, timeZone) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  const wallClock = Date.UTC(year, month - 1, day, hours, minutes);
+
+  const offsets = new Set([
+    getOffset(new Date(wallClock - DAY), timeZone),
+    getOffset(new Date(wallClock + DAY), timeZone)
+  ]);
+  const candidates = [...offsets].map(offset => wallClock - offset * MINUTE);
+
+  const valid = candidates.filter(candidate =>
+    candidate + getOffset(new Date(candidate), timeZone) * MINUTE === wallClock
+  );
+
+  return new Date(valid.length ? Math.min(...valid) : Math.max(...candidates));
+};
+
+const pad = (value) => String(value).padStart(2, '0');
+
+// Format an instant as an ISO 8601 string with the zone's offset
+const formatInTimeZone = (date, timeZone) => {
+  const parts = getZonedParts(date, timeZone);
+  const offset = getOffset(date, timeZone);
+  const sign = offset < 0 ? '-' : '+';
+
+  return `${parts.year}-${pad(parts.month)}-${pad(parts.day)}T${pad(parts.hour)}:${pad(parts.minute)}:${pad(parts.second)}` +
+    `${sign}${pad(Math.floor(Math.abs(offset) / 60))}:${pad(Math.abs(offset) % 60)}`;
+};
+
+module.exports = {
+  isValidTimeZone,
+  getZonedParts,
+  getOffset,
+  zonedTimeToUtc,
+  formatInTimeZone
+};
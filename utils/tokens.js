@@ -0,0 +1,141 @@
+// Access and refresh token issuing. Every login starts a Session whose id is
+// embedded in both tokens. Access tokens are short-lived and signed with
+// JWT_SECRET; refresh tokens are long-lived, signed with JWT_REFRESH_SECRET
+// and tracked in the RefreshToken collection so they can be rotated.
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const RefreshToken = require('../models/RefreshToken');
+const Session = require('../models/Session');
+
+const ACCESS_TOKEN_EXPIRES_IN = () => process.env.JWT_EXPIRES_IN || '15m';
+const REFRESH_TOKEN_EXPIRES_IN = () => process.env.JWT_REFRESH_EXPIRES_IN || '30d';
+const CHALLENGE_AUDIENCE = 'two-factor-challenge';
+
+class RefreshTokenError extends Error {
+  constructor(message, reused = false) {
+    super(message);
+    this.name = 'RefreshTokenError';
+    this.reused = reused;
+  }
+}
+
+const signAccessToken = (user, session) => {
+  return jwt.sign(
+    { userId: user._id, sid: session._id, tv: user.tokenVersion },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_EXPIRES_IN() }
+  );
+};
+
+// Issue an access token and a refresh token for a session, extending the
+// session to the refresh token's expiry. New sessions are saved here.
+const issueTokens = async (user, session) => {
+  const jti = crypto.randomUUID();
+  const refreshToken = jwt.sign(
+    { userId: user._id, sid: session._id, tv: user.tokenVersion },
+    process.env.JWT_REFRESH_SECRET,
+    { expiresIn: REFRESH_TOKEN_EXPIRES_IN(), jwtid: jti }
+  );
+
+  const expiresAt = new Date(jwt.decode(refreshToken).exp * 1000);
+  await RefreshToken.create({
+    userId: user._id,
+    sessionId: session._id,
+    jti,
+    expiresAt
+  });
+
+  session.expiresAt = expiresAt;
+  if (session.isNew) {
+    await session.save();
+  } else {
+    await Session.updateOne({ _id: session._id }, { expiresAt });
+  }
+
+  return {
+    token: signAccessToken(user, session),
+    refreshToken
+  };
+};
+
+// Issue fresh tokens for a session the user keeps after their tokenVersion
+// changed, e.g. on a password change. The session's unused refresh tokens
+// are deleted so only the new one works.
+const reissueTokens = async (user, session) => {
+  await RefreshToken.deleteMany({ sessionId: session._id, usedAt: null });
+  return issueTokens(user, session);
+};
+
+// Start a session for a login from this request and issue its tokens. The
+// client may name the device in the request body.
+const startSession = async (user, req) => {
+  const session = new Session({
+    userId: user._id,
+    device: typeof req.body.device === 'string' ? req.body.device.slice(0, 100) : undefined,
+    ip: req.ip,
+    userAgent: req.get('User-Agent')
+  });
+
+  return issueTokens(user, session);
+};
+
+// Verify a refresh token and use it up, returning its session and the
+// tokenVersion it was issued with. Replaying a token that was already used
+// revokes the session, logging out whoever holds the newer token.
+const consumeRefreshToken = async (refreshToken) => {
+  let payload;
+  try {
+    payload = jwt.verify(refreshToken, process.env.JWT_REFRESH_SECRET);
+  } catch (error) {
+    throw new RefreshTokenError(error.name === 'TokenExpiredError' ? 'Refresh token expired.' : 'Invalid refresh token.');
+  }
+
+  const [record, session] = await Promise.all([
+    RefreshToken.consume(payload.jti),
+    Session.findById(payload.sid)
+  ]);
+
+  if (!record) {
+    if (session && await RefreshToken.exists({ jti: payload.jti })) {
+      await session.revoke('reuse');
+      throw new RefreshTokenError('Refresh token has already been used. Please log in again.', true);
+    }
+    throw new RefreshTokenError('Invalid refresh token.');
+  }
+
+  if (!session || !session.isActive) {
+    throw new RefreshTokenError('Session has been revoked. Please log in again.');
+  }
+
+  return { session, tokenVersion: payload.tv };
+};
+
+// Short-lived token proving the password step of a two-factor login. It
+// carries no session, so the auth middleware never accepts it.
+const signTwoFactorChallenge = (user) => {
+  return jwt.sign(
+    { userId: user._id, tv: user.tokenVersion },
+    process.env.JWT_SECRET,
+    { expiresIn: '5m', audience: CHALLENGE_AUDIENCE }
+  );
+};
+
+// Returns the challenge payload, or null if it is invalid or expired
+const verifyTwoFactorChallenge = (challengeToken) => {
+  try {
+    return jwt.verify(challengeToken, process.env.JWT_SECRET, { audience: CHALLENGE_AUDIENCE });
+  } catch (error) {
+    return null;
+  }
+};
+
+module.exports = {
+  RefreshTokenError,
+  signAccessToken,
+  signTwoFactorChallenge,
+  verifyTwoFactorChallenge,
+  issueTokens,
+  reissueTokens,
+  startSession,
+  consumeRefreshToken
+};